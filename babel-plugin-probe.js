@@ -6,6 +6,9 @@
  * 2. Wrap functions with wrapUserFunction (FunctionDeclaration only, matching loader)
  * 3. Handle API handlers and exports
  * 4. Inject import statement respecting directives
+ *
+ * Also run at load time by instrumentation.node.ts (ESM loader / CommonJS hook) for plain
+ * Node.js apps; there `wrapperGlobal` replaces the import with a global lookup.
  */
 
 const nodePath = require('path');
@@ -105,7 +108,16 @@ module.exports = function (api, options = {}) {
         include = ['/app/'],
 
         // Match Webpack `exclude: [/node_modules/, /\.next/, /instrumentation/, /probe-wrapper/]`
-        exclude = ['/node_modules/', '/.next/', '/instrumentation/', '/probe-wrapper/']
+        exclude = ['/node_modules/', '/.next/', '/instrumentation/', '/probe-wrapper/'],
+
+        // Module the wrapUserFunction import is injected from
+        importPath = '@/probe-wrapper',
+
+        // If set, wrapUserFunction is read from globalThis[wrapperGlobal] instead of imported
+        wrapperGlobal,
+
+        // Log processed files and wrapped functions to the console
+        log = true
     } = options;
 
     const finalIsServer = options.isServer !== undefined ? options.isServer : isServer;
@@ -153,8 +165,9 @@ module.exports = function (api, options = {}) {
                     }
 
                     const relativePath = nodePath.relative(process.cwd(), resourcePath).replace(/\\/g, '/');
-                    console.log(`[babel-plugin-probe] Processing: ${relativePath}`);
+                    if (log) console.log(`[babel-plugin-probe] Processing: ${relativePath}`);
 
+                    state.relativePath = relativePath;
                     state.wrappedFunctions = [];
                     state.exportedFunctions = new Set();
 
@@ -192,7 +205,6 @@ module.exports = function (api, options = {}) {
                     if (state.skipProcessing) return;
 
                     if (state.wrappedFunctions.length > 0) {
-                        const importPath = '@/probe-wrapper';
                         let hasImport = false;
 
                         path.traverse({
@@ -206,10 +218,16 @@ module.exports = function (api, options = {}) {
                         });
 
                         if (!hasImport) {
-                            const importDecl = t.importDeclaration(
-                                [t.importSpecifier(t.identifier('wrapUserFunction'), t.identifier('wrapUserFunction'))],
-                                t.stringLiteral(importPath)
-                            );
+                            // const wrapUserFunction = globalThis[wrapperGlobal]; also works in CommonJS files
+                            const importDecl = wrapperGlobal
+                                ? t.variableDeclaration('const', [t.variableDeclarator(
+                                    t.identifier('wrapUserFunction'),
+                                    t.memberExpression(t.identifier('globalThis'), t.stringLiteral(wrapperGlobal), true)
+                                )])
+                                : t.importDeclaration(
+                                    [t.importSpecifier(t.identifier('wrapUserFunction'), t.identifier('wrapUserFunction'))],
+                                    t.stringLiteral(importPath)
+                                );
 
                             const body = path.get('body');
                             const firstNode = body[0];
@@ -225,7 +243,7 @@ module.exports = function (api, options = {}) {
 
                         const resourcePath = state.filename || (state.file && state.file.opts.filename);
                         const relativePath = resourcePath ? nodePath.relative(process.cwd(), resourcePath).replace(/\\/g, '/') : 'unknown';
-                        console.log(`[babel-plugin-probe] Wrapped functions in ${relativePath}: ${state.wrappedFunctions.join(', ')}`);
+                        if (log) console.log(`[babel-plugin-probe] Wrapped functions in ${relativePath}: ${state.wrappedFunctions.join(', ')}`);
                     }
                 }
             },
@@ -244,16 +262,24 @@ module.exports = function (api, options = {}) {
 
                 path.node.id.name = internalName;
 
+                // wrapUserFunction(_unwrapped_foo, 'foo', 'app/lib/foo.ts:12:0') -> code.filepath / code.lineno
+                const wrapperArgs = [t.identifier(internalName), t.stringLiteral(name)];
+                const loc = path.node.loc;
+                if (loc) {
+                    wrapperArgs.push(t.stringLiteral(`${state.relativePath}:${loc.start.line}:${loc.start.column}`));
+                }
+
                 const wrapperDeclarator = t.variableDeclarator(
                     t.identifier(name),
-                    t.callExpression(
-                        t.identifier('wrapUserFunction'),
-                        [t.identifier(internalName), t.stringLiteral(name)]
-                    )
+                    t.callExpression(t.identifier('wrapUserFunction'), wrapperArgs)
                 );
 
+                // Functions exported through `export { name }` keep that specifier, which now refers
+                // to the wrapper; exporting the wrapper again would be a duplicate export
+                const isExportDeclaration = path.parent.type === 'ExportDefaultDeclaration' || path.parent.type === 'ExportNamedDeclaration';
+
                 let wrapperNode;
-                if (isApiHandler || isExported) {
+                if ((isApiHandler || isExported) && isExportDeclaration) {
                     wrapperNode = t.exportNamedDeclaration(
                         t.variableDeclaration('const', [wrapperDeclarator])
                     );
@@ -261,13 +287,20 @@ module.exports = function (api, options = {}) {
                     wrapperNode = t.variableDeclaration('const', [wrapperDeclarator]);
                 }
 
-                if (path.parent.type === 'ExportDefaultDeclaration') {
+                if (path.parent.type === 'ExportNamedDeclaration') {
+                    path.parentPath.replaceWith(path.node);
+                }
+
+                // Declare the wrapper at the top of the enclosing block, so calls relying on function
+                // hoisting (e.g. `main()` above `function main`) do not hit the const before it exists
+                const block = isExportDeclaration ? path.parentPath.parentPath : path.parentPath;
+                if (block.isProgram() || block.isBlockStatement()) {
+                    // After leading 'use client' / 'use server' strings; the function itself ends the search
+                    const body = block.get('body');
+                    const first = body.findIndex(p => !(p.isExpressionStatement() && p.get('expression').isStringLiteral()));
+                    body[first].insertBefore(wrapperNode);
+                } else if (path.parent.type === 'ExportDefaultDeclaration') {
                     path.parentPath.insertAfter(wrapperNode);
-                } else if (path.parent.type === 'ExportNamedDeclaration') {
-                    path.parentPath.replaceWithMultiple([
-                        path.node,
-                        wrapperNode
-                    ]);
                 } else {
                     path.insertAfter(wrapperNode);
                 }
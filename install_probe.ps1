@@ -38,18 +38,23 @@ $CORE_DEPS = @(
     "@opentelemetry/sdk-trace-node",
     "@opentelemetry/core",
     "@opentelemetry/winston-transport",
+    "@opentelemetry/exporter-trace-otlp-http",
+    "@opentelemetry/exporter-trace-otlp-proto",
     "express",
     "ws"
 )
 $TS_DEPS   = @("@types/express", "@types/ws", "@types/node", "tsx")
 $NEXT_DEPS = @("@babel/parser", "@babel/traverse", "magic-string")
+# Load-time function wrapping for plain Node.js projects (needed at runtime)
+$AUTO_WRAP_DEPS = @("@babel/core")
 
 $EXTERNAL_PACKAGES = @(
     "ws", "bufferutil", "utf-8-validate",
     "@opentelemetry/sdk-node", "@opentelemetry/api",
     "@opentelemetry/auto-instrumentations-node",
     "@opentelemetry/sdk-metrics", "@opentelemetry/sdk-trace-node",
-    "@opentelemetry/core"
+    "@opentelemetry/core",
+    "@opentelemetry/exporter-trace-otlp-http", "@opentelemetry/exporter-trace-otlp-proto"
 )
 
 # --- 1. Detect Package Manager ---
@@ -171,11 +176,15 @@ switch ($PROJECT_TYPE) {
         Write-Step "Downloading TypeScript instrumentation files..."
         Download-File "$GITHUB_BASE/instrumentation.ts"     "$TARGET_DIR/instrumentation.ts"
         Download-File "$GITHUB_BASE/instrumentation.node.ts" "$TARGET_DIR/instrumentation.node.ts"
+        # Applied at load time to wrap project functions (resolved from the project root)
+        Download-File "$GITHUB_BASE/babel-plugin-probe.js"  "babel-plugin-probe.js"
     }
     "js" {
         Write-Step "Downloading JavaScript instrumentation files..."
         Download-File "$GITHUB_BASE/instrumentation.js"     "$TARGET_DIR/instrumentation.js"
         Download-File "$GITHUB_BASE/instrumentation.node.js" "$TARGET_DIR/instrumentation.node.js"
+        # Applied at load time to wrap project functions (resolved from the project root)
+        Download-File "$GITHUB_BASE/babel-plugin-probe.js"  "babel-plugin-probe.js"
     }
 }
 
@@ -206,6 +215,12 @@ if ($PROJECT_TYPE -eq "ts" -or $PROJECT_TYPE -eq "next") {
     Run-Cmd $devBin $devArgs
 }
 
+if ($PROJECT_TYPE -eq "ts" -or $PROJECT_TYPE -eq "js") {
+    Write-Step "Installing automatic function wrapping dependencies..."
+    $autoWrapArgs = if ($installParts.Count -gt 1) { ($installParts[1] -split " ") + $AUTO_WRAP_DEPS } else { $AUTO_WRAP_DEPS }
+    Run-Cmd $installBin $autoWrapArgs
+}
+
 if ($PROJECT_TYPE -eq "next") {
     Write-Step "Installing Next.js specific dependencies..."
     $devParts = $DEV_INSTALL_CMD -split " ", 2
@@ -32,6 +32,8 @@ CORE_DEPS=(
     "@opentelemetry/sdk-trace-node"
     "@opentelemetry/core"
     "@opentelemetry/winston-transport"
+    "@opentelemetry/exporter-trace-otlp-http"
+    "@opentelemetry/exporter-trace-otlp-proto"
     "express"
     "ws"
 )
@@ -41,6 +43,10 @@ TS_DEPS=(
     "@types/node"
     "tsx"
 )
+# Load-time function wrapping for plain Node.js projects (needed at runtime)
+AUTO_WRAP_DEPS=(
+    "@babel/core"
+)
 NEXT_DEPS=(
     "@babel/parser"
     "@babel/traverse"
@@ -152,11 +158,15 @@ case $PROJECT_TYPE in
         echo_step "Downloading TypeScript instrumentation files..."
         curl -sL "$GITHUB_BASE/instrumentation.ts" -o "$TARGET_DIR/instrumentation.ts"
         curl -sL "$GITHUB_BASE/instrumentation.node.ts" -o "$TARGET_DIR/instrumentation.node.ts"
+        # Applied at load time to wrap project functions (resolved from the project root)
+        curl -sL "$GITHUB_BASE/babel-plugin-probe.js" -o "babel-plugin-probe.js"
         ;;
     "js")
         echo_step "Downloading JavaScript instrumentation files..."
         curl -sL "$GITHUB_BASE/instrumentation.js" -o "$TARGET_DIR/instrumentation.js"
         curl -sL "$GITHUB_BASE/instrumentation.node.js" -o "$TARGET_DIR/instrumentation.node.js"
+        # Applied at load time to wrap project functions (resolved from the project root)
+        curl -sL "$GITHUB_BASE/babel-plugin-probe.js" -o "babel-plugin-probe.js"
         ;;
 esac
 
@@ -169,6 +179,11 @@ if [ "$PROJECT_TYPE" == "ts" ] || [ "$PROJECT_TYPE" == "next" ]; then
     $DEV_INSTALL_CMD "${TS_DEPS[@]}"
 fi
 
+if [ "$PROJECT_TYPE" == "ts" ] || [ "$PROJECT_TYPE" == "js" ]; then
+    echo_step "Installing automatic function wrapping dependencies..."
+    $INSTALL_CMD "${AUTO_WRAP_DEPS[@]}"
+fi
+
 if [ "$PROJECT_TYPE" == "next" ]; then
     echo_step "Installing Next.js specific dependencies..."
     $DEV_INSTALL_CMD "${NEXT_DEPS[@]}"
@@ -234,7 +249,9 @@ const externalPackages = [
     "@opentelemetry/auto-instrumentations-node",
     "@opentelemetry/sdk-metrics",
     "@opentelemetry/sdk-trace-node",
-    "@opentelemetry/core"
+    "@opentelemetry/core",
+    "@opentelemetry/exporter-trace-otlp-http",
+    "@opentelemetry/exporter-trace-otlp-proto"
 ];
 
 // Try next.config.ts first, then .js, then .mjs
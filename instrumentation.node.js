@@ -44,9 +44,15 @@ exports.getSpansByFunctionName = getSpansByFunctionName;
 exports.getSpansByTimeRange = getSpansByTimeRange;
 exports.getTraceIds = getTraceIds;
 exports.getSpanStats = getSpanStats;
+exports.getFunctionStats = getFunctionStats;
 exports.clearSpans = clearSpans;
 exports.getTracesWithSpans = getTracesWithSpans;
+exports.getCallTree = getCallTree;
+exports.formatCallTree = formatCallTree;
+exports.exportTrace = exportTrace;
 exports.wrapUserFunction = wrapUserFunction;
+exports.unwrap = unwrap;
+exports.wrapUserClass = wrapUserClass;
 exports.init = init;
 const sdk_node_1 = require("@opentelemetry/sdk-node");
 const sdk_trace_node_1 = require("@opentelemetry/sdk-trace-node");
@@ -56,55 +62,366 @@ const api_1 = require("@opentelemetry/api");
 const Module = __importStar(require("module"));
 const path = __importStar(require("path"));
 const fs = __importStar(require("fs"));
-const util_1 = require("util");
+const readline = __importStar(require("readline"));
+const url_1 = require("url");
+const crypto_1 = require("crypto");
+const perf_hooks_1 = require("perf_hooks");
 const ws_1 = __importDefault(require("ws"));
 const express_1 = __importDefault(require("express"));
-// Hardcoded API_KEY
-const API_KEY = 'your_api_key';
+const DEFAULT_CONFIG = {
+    // Hardcoded API_KEY
+    apiKey: 'your_api_key',
+    // Identifier Configuration
+    appId: 'ts-6',
+    appName: 'te-demo2',
+    projectId: 'your-project-id',
+    // PROXY_WS_URL and INSTRUMENTATION_PORT are still honoured for existing deployments
+    proxyWsUrl: process.env.PROXY_WS_URL || 'wss://api.syn-cause.com/codeproxy/ws',
+    instrumentationPort: process.env.INSTRUMENTATION_PORT ? parseInt(process.env.INSTRUMENTATION_PORT, 10) : 43210,
+    // Set to false to disable all debug log output in instrumentation.ts file
+    enableDebugLog: true,
+    // Set to true to enable CachedSpanExporter console output (disabled by default)
+    enableConsoleExporter: false,
+    // Set to true to also persist spans to .syncause/spans so they survive crashes and restarts
+    enableSpanStore: false,
+    // Spans kept in memory; whole traces are evicted once 85% of this is reached
+    maxCachedSpans: 10000,
+    // Recorded argument and return value strings are truncated to this many characters
+    maxValueLength: 4000,
+    // Only the first N arguments of a call are recorded
+    maxArgs: 10,
+    // Value previews: nesting levels, entries per array/object/Map/Set and characters per nested string
+    previewMaxDepth: 3,
+    previewMaxItems: 20,
+    previewMaxStringLength: 200,
+    // Class tracing beyond prototype methods, all opt-in: a span per `new`, static methods,
+    // getter/setter access and methods inherited from parent classes. Constructor tracing replaces
+    // the exported class with a Proxy, which classes with static private members do not support.
+    traceConstructors: false,
+    traceStaticMethods: false,
+    traceAccessors: false,
+    traceInheritedMethods: false,
+    // Record the own fields of `this` when class methods, getters and setters are entered and
+    // left, plus which fields changed (function.this.entry / .exit / .changed / .diff)
+    captureThis: false,
+    // Preview object arguments again when a call settles and record which paths the function
+    // added, removed or changed in them (function.args.mutated / function.args.diff)
+    detectArgMutations: false,
+    // Add an `inflight.warning` event to function spans still running after this many ms, and log
+    // them; 0 disables the warning (running spans are always listed at /remote-debug/inflight)
+    inflightWarnAfterMs: 0,
+    // Traced calls that keep the event loop busy this long get an `event_loop.blocked` event and
+    // are listed at /remote-debug/event-loop; 0 disables the timing
+    eventLoopBlockThresholdMs: 100,
+    // Per-class member rules keyed by class name ("*" applies to every class). Members are named
+    // "constructor", "<method>", "static <method>", "get <prop>" and "set <prop>"; "*" is a wildcard.
+    // e.g. { "User": { "exclude": ["get *"] }, "*": { "exclude": ["static create*"] } }
+    classRules: {},
+    // Outside Next.js, wrap the functions of project files as they are loaded (ESM loader hook and
+    // CommonJS compile hook running babel-plugin-probe.js; needs @babel/core in the project).
+    // Paths are matched as substrings; an empty include list means every file under the cwd.
+    autoWrap: true,
+    autoWrapInclude: [],
+    autoWrapExclude: ['/node_modules/', '/.next/', '/dist/', '/instrumentation', '/probe-wrapper', '/babel-plugin-probe', '/probe-loader'],
+    // Resolved against the cwd
+    babelPluginPath: './babel-plugin-probe.js',
+    // Set to an OTLP/HTTP traces endpoint (e.g. http://localhost:4318/v1/traces) to also send spans
+    // to Jaeger, Tempo or an OpenTelemetry Collector; empty disables the secondary exporter
+    otlpExporterUrl: '',
+    otlpExporterProtocol: 'http/json',
+    // Extra request headers for the OTLP endpoint, e.g. { "Authorization": "Bearer ..." }
+    otlpExporterHeaders: {},
+    // Object properties whose name matches any of these patterns (case-insensitive) are recorded
+    // as redactionMarker, at any depth of an argument or return value
+    redactKeys: [
+        'passw(or)?d', 'pwd', 'secret', 'token', 'authorization', 'api[-_]?key', 'cookie',
+        'credential', 'private[-_]?key', 'card[-_]?number', 'cvv', 'cvc', 'ssn',
+    ],
+    // Matches of these patterns are replaced inside every recorded value: JWTs, bearer tokens,
+    // card numbers and email addresses
+    redactValuePatterns: [
+        '\\beyJ[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]*',
+        '\\bBearer\\s+[A-Za-z0-9._~+/-]+=*',
+        '\\b(?:4\\d{3}|5[1-5]\\d{2}|6(?:011|5\\d{2}))(?:[ -]?\\d{4}){3}\\b',
+        '\\b3[47]\\d{2}[ -]?\\d{6}[ -]?\\d{5}\\b',
+        '[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}',
+    ],
+    // Arguments (by index) or the return value never recorded for a function, keyed by span name,
+    // e.g. { "AuthService.login": [1], "issueToken": ["return"] }
+    redactArgs: {},
+    redactionMarker: '[REDACTED]',
+};
+const CONFIG_SCHEMA = {
+    apiKey: { type: 'string' },
+    appId: { type: 'string' },
+    appName: { type: 'string' },
+    projectId: { type: 'string' },
+    proxyWsUrl: { type: 'string' },
+    instrumentationPort: { type: 'integer', min: 1 },
+    enableDebugLog: { type: 'boolean' },
+    enableConsoleExporter: { type: 'boolean' },
+    enableSpanStore: { type: 'boolean' },
+    maxCachedSpans: { type: 'integer', min: 100 },
+    maxValueLength: { type: 'integer', min: 16 },
+    maxArgs: { type: 'integer', min: 0 },
+    previewMaxDepth: { type: 'integer', min: 0 },
+    previewMaxItems: { type: 'integer', min: 1 },
+    previewMaxStringLength: { type: 'integer', min: 16 },
+    traceConstructors: { type: 'boolean' },
+    traceStaticMethods: { type: 'boolean' },
+    traceAccessors: { type: 'boolean' },
+    traceInheritedMethods: { type: 'boolean' },
+    captureThis: { type: 'boolean' },
+    detectArgMutations: { type: 'boolean' },
+    inflightWarnAfterMs: { type: 'integer', min: 0 },
+    eventLoopBlockThresholdMs: { type: 'integer', min: 0 },
+    classRules: { type: 'classRules' },
+    autoWrap: { type: 'boolean' },
+    autoWrapInclude: { type: 'strings' },
+    autoWrapExclude: { type: 'strings' },
+    babelPluginPath: { type: 'string' },
+    otlpExporterUrl: { type: 'string' },
+    otlpExporterProtocol: { type: ['http/json', 'http/protobuf'] },
+    otlpExporterHeaders: { type: 'headers' },
+    redactKeys: { type: 'patterns' },
+    redactValuePatterns: { type: 'patterns' },
+    redactArgs: { type: 'argMasks' },
+    redactionMarker: { type: 'string' },
+};
+function tryParseJson(raw) {
+    try {
+        return JSON.parse(raw);
+    }
+    catch {
+        return undefined;
+    }
+}
+function configEnvName(key) {
+    return 'SYNCAUSE_' + key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+// Validate one option. Values from the environment are always strings and get coerced;
+// values from the JSON file must already have the right JSON type.
+function parseConfigValue(key, raw, fromEnv) {
+    const { type, min } = CONFIG_SCHEMA[key];
+    const got = JSON.stringify(raw);
+    if (typeof type !== 'string') {
+        return type.includes(raw) ? { value: raw } : { error: `${key} must be one of ${type.join(', ')} (got ${got})` };
+    }
+    switch (type) {
+        case 'string':
+            return typeof raw === 'string' ? { value: raw } : { error: `${key} must be a string (got ${got})` };
+        case 'boolean':
+            if (typeof raw === 'boolean')
+                return { value: raw };
+            if (fromEnv && /^(true|1)$/i.test(raw))
+                return { value: true };
+            if (fromEnv && /^(false|0)$/i.test(raw))
+                return { value: false };
+            return { error: `${key} must be true or false (got ${got})` };
+        case 'integer': {
+            const n = fromEnv && /^-?\d+$/.test(raw) ? parseInt(raw, 10) : raw;
+            if (typeof n !== 'number' || !Number.isInteger(n))
+                return { error: `${key} must be an integer (got ${got})` };
+            if (min !== undefined && n < min)
+                return { error: `${key} must be at least ${min} (got ${n})` };
+            return { value: n };
+        }
+        case 'headers': {
+            let headers = raw;
+            if (fromEnv) {
+                // Either a JSON object or the OTEL_EXPORTER_OTLP_HEADERS style "key1=value1,key2=value2"
+                try {
+                    headers = raw.trim().startsWith('{') ? JSON.parse(raw) : Object.fromEntries(raw.split(',').filter((pair) => pair.trim()).map((pair) => {
+                        const eq = pair.indexOf('=');
+                        if (eq <= 0)
+                            throw new Error(`missing "=" in ${pair}`);
+                        return [pair.slice(0, eq).trim(), pair.slice(eq + 1).trim()];
+                    }));
+                }
+                catch {
+                    return { error: `${key} must be a JSON object or comma-separated key=value pairs (got ${got})` };
+                }
+            }
+            const valid = !!headers && typeof headers === 'object' && !Array.isArray(headers) &&
+                Object.values(headers).every(v => typeof v === 'string');
+            return valid ? { value: headers } : { error: `${key} must be an object of string values (got ${got})` };
+        }
+        case 'strings': {
+            // From the environment: a JSON array or a comma-separated list
+            const list = fromEnv
+                ? (raw.trim().startsWith('[') ? tryParseJson(raw) : raw.split(',').map((item) => item.trim()).filter(Boolean))
+                : raw;
+            const valid = Array.isArray(list) && list.every(item => typeof item === 'string');
+            return valid ? { value: list } : { error: `${key} must be an array of strings (got ${got})` };
+        }
+        case 'patterns': {
+            // From the environment: a JSON array, or a single pattern (use | to combine several)
+            const patterns = fromEnv ? (raw.trim().startsWith('[') ? tryParseJson(raw) : [raw]) : raw;
+            if (!Array.isArray(patterns) || !patterns.every(p => typeof p === 'string')) {
+                return { error: `${key} must be an array of regular expression strings (got ${got})` };
+            }
+            for (const pattern of patterns) {
+                try {
+                    new RegExp(pattern);
+                }
+                catch (e) {
+                    return { error: `${key} contains an invalid regular expression ${JSON.stringify(pattern)}: ${e?.message || e}` };
+                }
+            }
+            return { value: patterns };
+        }
+        case 'argMasks': {
+            const masks = fromEnv ? tryParseJson(raw) : raw;
+            const valid = !!masks && typeof masks === 'object' && !Array.isArray(masks) &&
+                Object.values(masks).every(slots => Array.isArray(slots) &&
+                    slots.every(slot => slot === 'return' || (Number.isInteger(slot) && slot >= 0)));
+            return valid ? { value: masks } : {
+                error: `${key} must map function names to arrays of argument indexes or "return" (got ${got})`
+            };
+        }
+        case 'classRules': {
+            const rules = fromEnv ? tryParseJson(raw) : raw;
+            const isNameList = (list) => list === undefined || (Array.isArray(list) && list.every(n => typeof n === 'string'));
+            const valid = !!rules && typeof rules === 'object' && !Array.isArray(rules) &&
+                Object.values(rules).every((rule) => !!rule && typeof rule === 'object' &&
+                    Object.keys(rule).every(k => k === 'include' || k === 'exclude') &&
+                    isNameList(rule.include) && isNameList(rule.exclude));
+            return valid ? { value: rules } : {
+                error: `${key} must map class names to { "include": [...], "exclude": [...] } member lists (got ${got})`
+            };
+        }
+    }
+}
+// Defaults, then the config file, then SYNCAUSE_* environment variables. All problems are
+// collected and reported together so a broken deployment can be fixed in one go. Invalid options
+// keep their defaults: a misconfigured probe must not stop the app it is loaded into.
+function loadProbeConfig() {
+    const config = { ...DEFAULT_CONFIG };
+    const errors = [];
+    const keys = Object.keys(CONFIG_SCHEMA);
+    const configPath = process.env.SYNCAUSE_CONFIG
+        ? path.resolve(process.env.SYNCAUSE_CONFIG)
+        : path.join(process.cwd(), 'syncause.config.json');
+    if (fs.existsSync(configPath)) {
+        let fileConfig;
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        }
+        catch (e) {
+            errors.push(`${configPath}: ${e?.message || e}`);
+        }
+        if (fileConfig !== undefined && (typeof fileConfig !== 'object' || fileConfig === null || Array.isArray(fileConfig))) {
+            errors.push(`${configPath}: expected a JSON object`);
+        }
+        else if (fileConfig) {
+            for (const key of Object.keys(fileConfig)) {
+                if (!(key in CONFIG_SCHEMA)) {
+                    errors.push(`${configPath}: unknown option "${key}" (known options: ${keys.join(', ')})`);
+                    continue;
+                }
+                const result = parseConfigValue(key, fileConfig[key], false);
+                if ('error' in result)
+                    errors.push(`${configPath}: ${result.error}`);
+                else
+                    config[key] = result.value;
+            }
+        }
+    }
+    else if (process.env.SYNCAUSE_CONFIG) {
+        errors.push(`SYNCAUSE_CONFIG points to a file that does not exist: ${configPath}`);
+    }
+    for (const key of keys) {
+        const envName = configEnvName(key);
+        const raw = process.env[envName];
+        if (raw === undefined)
+            continue;
+        const result = parseConfigValue(key, raw, true);
+        if ('error' in result)
+            errors.push(`${envName}: ${result.error}`);
+        else
+            config[key] = result.value;
+    }
+    if (errors.length > 0) {
+        // debugLog is not available yet, it depends on this configuration
+        console.error(`[Syncause] Invalid probe configuration, using the defaults for these options:\n  - ${errors.join('\n  - ')}`);
+    }
+    return config;
+}
+const probeConfig = loadProbeConfig();
+const API_KEY = probeConfig.apiKey;
 // Identifier Configuration
-const APP_ID = 'ts-6';
-const APP_NAME = 'te-demo2';
-const PROJECT_ID = 'your-project-id';
+const APP_ID = probeConfig.appId;
+const APP_NAME = probeConfig.appName;
+const PROJECT_ID = probeConfig.projectId;
 // ===== Configuration Switches =====
-// Set to false to disable all debug log output in instrumentation.ts file
-const ENABLE_DEBUG_LOG = true;
-// Set to true to enable CachedSpanExporter console output (disabled by default)
-const ENABLE_CONSOLE_EXPORTER = false;
+const ENABLE_DEBUG_LOG = probeConfig.enableDebugLog;
+const ENABLE_CONSOLE_EXPORTER = probeConfig.enableConsoleExporter;
+const ENABLE_SPAN_STORE = probeConfig.enableSpanStore;
+const OTLP_EXPORTER_URL = probeConfig.otlpExporterUrl;
+const OTLP_EXPORTER_PROTOCOL = probeConfig.otlpExporterProtocol;
+const OTLP_EXPORTER_HEADERS = probeConfig.otlpExporterHeaders;
+const INSTRUMENTATION_PORT = probeConfig.instrumentationPort;
+const MAX_VALUE_LENGTH = probeConfig.maxValueLength;
+const MAX_ARGS = probeConfig.maxArgs;
+const PREVIEW_MAX_DEPTH = probeConfig.previewMaxDepth;
+const PREVIEW_MAX_ITEMS = probeConfig.previewMaxItems;
+const PREVIEW_MAX_STRING_LENGTH = probeConfig.previewMaxStringLength;
+const TRACE_CONSTRUCTORS = probeConfig.traceConstructors;
+const TRACE_STATIC_METHODS = probeConfig.traceStaticMethods;
+const TRACE_ACCESSORS = probeConfig.traceAccessors;
+const TRACE_INHERITED_METHODS = probeConfig.traceInheritedMethods;
+const CAPTURE_THIS = probeConfig.captureThis;
+const DETECT_ARG_MUTATIONS = probeConfig.detectArgMutations;
+const INFLIGHT_WARN_AFTER_MS = probeConfig.inflightWarnAfterMs;
+const EVENT_LOOP_BLOCK_THRESHOLD_MS = probeConfig.eventLoopBlockThresholdMs;
+const AUTO_WRAP = probeConfig.autoWrap;
 // ===================================
+// Check if span is from instrumentation's own requests (should be filtered out)
+// Proxy server from proxyWsUrl. The port keeps a proxy on localhost from hiding the app's other local traffic.
+const PROXY_ENDPOINT = (() => {
+    try {
+        const url = new URL(probeConfig.proxyWsUrl);
+        const port = url.port || (url.protocol === 'wss:' || url.protocol === 'https:' ? '443' : '80');
+        return { host: url.host, hostname: url.hostname, port };
+    }
+    catch {
+        return null;
+    }
+})();
+function isInstrumentationSpan(span) {
+    const attrs = span.attributes;
+    const httpUrl = attrs['http.url'];
+    const httpHost = attrs['http.host'];
+    const netPeerName = attrs['net.peer.name'];
+    const netPeerPort = attrs['net.peer.port'];
+    const httpTarget = attrs['http.target'];
+    // Filter out proxy server connection
+    if (PROXY_ENDPOINT && (httpUrl?.includes(`//${PROXY_ENDPOINT.host}/`) ||
+        httpHost === PROXY_ENDPOINT.host ||
+        (netPeerName === PROXY_ENDPOINT.hostname && (netPeerPort === undefined || String(netPeerPort) === PROXY_ENDPOINT.port)))) {
+        return true;
+    }
+    // Filter out local instrumentation server requests
+    if (httpUrl?.includes(`localhost:${INSTRUMENTATION_PORT}`) ||
+        httpUrl?.includes(`127.0.0.1:${INSTRUMENTATION_PORT}`) ||
+        httpHost?.includes(`localhost:${INSTRUMENTATION_PORT}`) ||
+        httpHost?.includes(`127.0.0.1:${INSTRUMENTATION_PORT}`) ||
+        httpTarget?.includes('/remote-debug/')) {
+        return true;
+    }
+    return false;
+}
 class CachedSpanExporter extends sdk_trace_node_1.ConsoleSpanExporter {
     constructor() {
         super();
         this.enabled = ENABLE_CONSOLE_EXPORTER; // Controlled by global switch
     }
-    // Check if span is from instrumentation's own requests (should be filtered out)
-    isInstrumentationSpan(span) {
-        const attrs = span.attributes;
-        const httpUrl = attrs['http.url'];
-        const httpHost = attrs['http.host'];
-        const netPeerName = attrs['net.peer.name'];
-        const httpTarget = attrs['http.target'];
-        // Filter out proxy server connection
-        if (httpUrl?.includes('api.syn-cause.com') ||
-            httpHost?.includes('api.syn-cause.com') ||
-            netPeerName?.includes('api.syn-cause.com')) {
-            return true;
-        }
-        // Filter out local instrumentation server requests
-        if (httpUrl?.includes('localhost:43210') ||
-            httpUrl?.includes('127.0.0.1:43210') ||
-            httpHost?.includes('localhost:43210') ||
-            httpHost?.includes('127.0.0.1:43210') ||
-            httpTarget?.includes('/remote-debug/')) {
-            return true;
-        }
-        return false;
-    }
     export(spans, resultCallback) {
         try {
             // Filter out instrumentation's own spans
-            const filteredSpans = spans.filter(s => !this.isInstrumentationSpan(s));
+            const filteredSpans = spans.filter(s => !isInstrumentationSpan(s));
             for (const s of filteredSpans)
-                spanCache.addSpan(s);
+                spanStream.publish(spanCache.addSpan(s));
             // Only call parent class export method (console output) when enabled
             if (this.enabled) {
                 super.export(filteredSpans, resultCallback);
@@ -124,11 +441,113 @@ class CachedSpanExporter extends sdk_trace_node_1.ConsoleSpanExporter {
         }
     }
 }
+// Forwards spans to another exporter, minus the probe's own traffic and calls to the exporter's endpoint
+class FilteringSpanExporter {
+    constructor(delegate, endpointUrl) {
+        this.delegate = delegate;
+        try {
+            this.endpointHost = new URL(endpointUrl).host;
+        }
+        catch {
+            this.endpointHost = '';
+        }
+    }
+    isExporterSpan(span) {
+        if (!this.endpointHost)
+            return false;
+        const attrs = span.attributes;
+        const httpUrl = attrs['http.url'];
+        const httpHost = attrs['http.host'];
+        return !!(httpUrl?.includes(this.endpointHost) || httpHost?.includes(this.endpointHost));
+    }
+    export(spans, resultCallback) {
+        const filteredSpans = spans.filter(s => !isInstrumentationSpan(s) && !this.isExporterSpan(s));
+        if (filteredSpans.length === 0) {
+            resultCallback({ code: core_1.ExportResultCode.SUCCESS });
+            return;
+        }
+        this.delegate.export(filteredSpans, resultCallback);
+    }
+    shutdown() {
+        return this.delegate.shutdown();
+    }
+    forceFlush() {
+        return this.delegate.forceFlush ? this.delegate.forceFlush() : Promise.resolve();
+    }
+}
+// The OTLP exporter packages are loaded only when configured, so the probe keeps working without them
+function createOtlpSpanProcessor() {
+    if (!OTLP_EXPORTER_URL)
+        return null;
+    const packageName = OTLP_EXPORTER_PROTOCOL === 'http/protobuf'
+        ? '@opentelemetry/exporter-trace-otlp-proto'
+        : '@opentelemetry/exporter-trace-otlp-http';
+    try {
+        const { OTLPTraceExporter } = require(packageName);
+        const exporter = new OTLPTraceExporter({ url: OTLP_EXPORTER_URL, headers: OTLP_EXPORTER_HEADERS });
+        debugLog.log(`[DEBUG] OTLP exporter enabled (${OTLP_EXPORTER_PROTOCOL}) -> ${OTLP_EXPORTER_URL}`);
+        return new sdk_trace_node_1.BatchSpanProcessor(new FilteringSpanExporter(exporter, OTLP_EXPORTER_URL));
+    }
+    catch (error) {
+        debugLog.error(`[DEBUG] Failed to create OTLP exporter, is ${packageName} installed?`, error);
+        return null;
+    }
+}
+// Index of the first span whose startTime is >= time (spans must be sorted by startTime)
+function lowerBoundByStartTime(spans, time) {
+    let lo = 0;
+    let hi = spans.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (spans[mid].startTime < time)
+            lo = mid + 1;
+        else
+            hi = mid;
+    }
+    return lo;
+}
+// Percentiles are computed over the most recent N durations of each function
+const FUNCTION_STATS_SAMPLE_SIZE = 1024;
+function percentile(sorted, p) {
+    if (sorted.length === 0)
+        return 0;
+    const rank = Math.ceil((p / 100) * sorted.length) - 1;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+}
+function addToIndex(index, key, spanId) {
+    let ids = index.get(key);
+    if (!ids) {
+        ids = new Set();
+        index.set(key, ids);
+    }
+    ids.add(spanId);
+}
+function removeFromIndex(index, key, spanId) {
+    const ids = index.get(key);
+    if (!ids)
+        return;
+    ids.delete(spanId);
+    if (ids.size === 0)
+        index.delete(key);
+}
 class SpanCache {
     constructor() {
         this.spans = new Map();
-        this.maxSpans = 10000;
+        this.store = null;
+        this.maxSpans = probeConfig.maxCachedSpans;
         this.cleanupThreshold = 0.85;
+        // Fraction of maxSpans that eviction frees up once the threshold is crossed
+        this.evictionRatio = 0.2;
+        // Secondary indexes, kept in sync with `spans` on every add/remove
+        this.spansByTrace = new Map();
+        this.spansByFunction = new Map();
+        this.spansByStartTime = [];
+        this.traceStartTimes = new Map();
+        this.totalDuration = 0;
+        // Per function.name aggregates; cumulative since start (or the last clear), unaffected by eviction.
+        // They cover the calls made by this process only: spans restored from the span store are a
+        // partial window of earlier runs and are not counted again.
+        this.functionStats = new Map();
     }
     addSpan(span) {
         const start = span.startTime[0] * 1000000 + span.startTime[1] / 1000;
@@ -155,61 +574,620 @@ class SpanCache {
                 attributes: { ...l.attributes },
             })),
         };
-        this.spans.set(rec.spanId, rec);
+        this.insert(rec);
+        if (this.store)
+            this.store.append(rec);
         if (this.spans.size > this.maxSpans * this.cleanupThreshold)
             this.cleanup();
+        return rec;
+    }
+    // Write every new span through to the store, and warm the cache with its most recent spans
+    attachStore(store) {
+        const restored = store.loadRecent(Math.floor(this.maxSpans * this.cleanupThreshold));
+        for (const rec of restored)
+            this.insert(rec, false);
+        this.store = store;
+        return restored.length;
     }
     getAllSpans(limit) {
-        const arr = Array.from(this.spans.values()).sort((a, b) => a.startTime - b.startTime);
-        return typeof limit === 'number' ? arr.slice(-limit) : arr;
+        const arr = this.spansByStartTime;
+        return typeof limit === 'number' ? arr.slice(-limit) : arr.slice();
     }
     getSpansByTraceId(traceId) {
-        return this.getAllSpans().filter(s => s.traceId === traceId);
+        return this.lookup(this.spansByTrace.get(traceId));
     }
     getSpansByFunctionName(name) {
-        return this.getAllSpans().filter(s => s.attributes['function.name'] === name);
+        return this.lookup(this.spansByFunction.get(name));
     }
     getSpansByTimeRange(startTime, endTime) {
-        return this.getAllSpans().filter(s => s.startTime >= startTime && s.endTime <= endTime);
+        const result = [];
+        const arr = this.spansByStartTime;
+        for (let i = lowerBoundByStartTime(arr, startTime); i < arr.length && arr[i].startTime <= endTime; i++) {
+            if (arr[i].endTime <= endTime)
+                result.push(arr[i]);
+        }
+        return result;
     }
     getTraceIds(startTime, endTime, limit) {
-        const spans = this.getAllSpans();
-        let filteredSpans = spans;
+        let traceIds;
         if (typeof startTime === 'number' && typeof endTime === 'number') {
-            filteredSpans = spans.filter(s => s.startTime >= startTime && s.endTime <= endTime);
-        }
-        // Extract unique trace IDs, sorted by time
-        const traceIds = Array.from(new Set(filteredSpans.map(s => s.traceId)))
-            .sort((a, b) => {
-            const aTime = Math.min(...spans.filter(s => s.traceId === a).map(s => s.startTime));
-            const bTime = Math.min(...spans.filter(s => s.traceId === b).map(s => s.startTime));
-            return bTime - aTime; // Newest first
-        });
+            traceIds = Array.from(new Set(this.getSpansByTimeRange(startTime, endTime).map(s => s.traceId)));
+        }
+        else {
+            traceIds = Array.from(this.spansByTrace.keys());
+        }
+        // Sort by the earliest span start time of each trace, newest first
+        traceIds.sort((a, b) => this.traceStartTimes.get(b) - this.traceStartTimes.get(a));
         return typeof limit === 'number' ? traceIds.slice(0, limit) : traceIds;
     }
-    clear() { this.spans.clear(); }
+    clear() {
+        this.spans.clear();
+        this.spansByTrace.clear();
+        this.spansByFunction.clear();
+        this.spansByStartTime = [];
+        this.traceStartTimes.clear();
+        this.totalDuration = 0;
+        this.functionStats.clear();
+        if (this.store)
+            this.store.clear();
+    }
+    getFunctionStatistics() {
+        return Array.from(this.functionStats.entries()).map(([functionName, acc]) => {
+            const sorted = acc.samples.slice().sort((a, b) => a - b);
+            // Durations are kept in microseconds
+            return {
+                functionName,
+                calls: acc.calls,
+                errors: acc.errors,
+                errorRate: acc.calls ? acc.errors / acc.calls : 0,
+                minMs: acc.minDuration / 1000,
+                meanMs: acc.totalDuration / acc.calls / 1000,
+                p50Ms: percentile(sorted, 50) / 1000,
+                p95Ms: percentile(sorted, 95) / 1000,
+                p99Ms: percentile(sorted, 99) / 1000,
+                maxMs: acc.maxDuration / 1000,
+                lastSeen: new Date(acc.lastSeen / 1000).toISOString(),
+            };
+        }).sort((a, b) => b.calls - a.calls);
+    }
     getStatistics() {
-        const spans = Array.from(this.spans.values());
-        const traceIds = new Set(spans.map(s => s.traceId));
-        const fnNames = new Set(spans.map(s => s.attributes['function.name']).filter(Boolean));
-        const durations = spans.map(s => s.duration);
+        const size = this.spans.size;
+        const arr = this.spansByStartTime;
         return {
-            totalSpans: spans.length,
-            totalTraces: traceIds.size,
-            totalFunctions: fnNames.size,
-            oldestSpan: spans.length ? Math.min(...spans.map(s => s.startTime)) : 0,
-            newestSpan: spans.length ? Math.max(...spans.map(s => s.startTime)) : 0,
-            averageDuration: spans.length ? durations.reduce((a, b) => a + b, 0) / spans.length : 0,
+            totalSpans: size,
+            totalTraces: this.spansByTrace.size,
+            totalFunctions: this.spansByFunction.size,
+            oldestSpan: size ? arr[0].startTime : 0,
+            newestSpan: size ? arr[arr.length - 1].startTime : 0,
+            averageDuration: size ? this.totalDuration / size : 0,
         };
     }
+    lookup(ids) {
+        if (!ids)
+            return [];
+        const result = [];
+        for (const id of ids) {
+            const rec = this.spans.get(id);
+            if (rec)
+                result.push(rec);
+        }
+        return result.sort((a, b) => a.startTime - b.startTime);
+    }
+    insert(rec, countStats = true) {
+        const existing = this.spans.get(rec.spanId);
+        if (existing)
+            this.removeSpans(new Set([existing.spanId]));
+        this.spans.set(rec.spanId, rec);
+        this.totalDuration += rec.duration;
+        addToIndex(this.spansByTrace, rec.traceId, rec.spanId);
+        const fnName = rec.attributes['function.name'];
+        if (fnName) {
+            addToIndex(this.spansByFunction, String(fnName), rec.spanId);
+            if (countStats)
+                this.recordFunctionStats(String(fnName), rec);
+        }
+        const traceStart = this.traceStartTimes.get(rec.traceId);
+        if (traceStart === undefined || rec.startTime < traceStart) {
+            this.traceStartTimes.set(rec.traceId, rec.startTime);
+        }
+        // Spans usually arrive close to start-time order, so this is normally an append
+        const arr = this.spansByStartTime;
+        if (!arr.length || arr[arr.length - 1].startTime <= rec.startTime) {
+            arr.push(rec);
+        }
+        else {
+            arr.splice(lowerBoundByStartTime(arr, rec.startTime), 0, rec);
+        }
+    }
+    recordFunctionStats(fnName, rec) {
+        let acc = this.functionStats.get(fnName);
+        if (!acc) {
+            acc = { calls: 0, errors: 0, totalDuration: 0, minDuration: Infinity, maxDuration: 0, lastSeen: 0, samples: [], nextSample: 0 };
+            this.functionStats.set(fnName, acc);
+        }
+        acc.calls++;
+        if (rec.status.code === api_1.SpanStatusCode.ERROR)
+            acc.errors++;
+        acc.totalDuration += rec.duration;
+        acc.minDuration = Math.min(acc.minDuration, rec.duration);
+        acc.maxDuration = Math.max(acc.maxDuration, rec.duration);
+        acc.lastSeen = Math.max(acc.lastSeen, rec.endTime);
+        if (acc.samples.length < FUNCTION_STATS_SAMPLE_SIZE) {
+            acc.samples.push(rec.duration);
+        }
+        else {
+            acc.samples[acc.nextSample] = rec.duration;
+            acc.nextSample = (acc.nextSample + 1) % FUNCTION_STATS_SAMPLE_SIZE;
+        }
+    }
+    removeSpans(spanIds) {
+        const affectedTraces = new Set();
+        for (const id of spanIds) {
+            const rec = this.spans.get(id);
+            if (!rec)
+                continue;
+            this.spans.delete(id);
+            this.totalDuration -= rec.duration;
+            removeFromIndex(this.spansByTrace, rec.traceId, id);
+            const fnName = rec.attributes['function.name'];
+            if (fnName)
+                removeFromIndex(this.spansByFunction, String(fnName), id);
+            affectedTraces.add(rec.traceId);
+        }
+        this.spansByStartTime = this.spansByStartTime.filter(s => !spanIds.has(s.spanId));
+        // Recompute the start time of traces that still have spans left
+        for (const traceId of affectedTraces) {
+            const remaining = this.spansByTrace.get(traceId);
+            if (!remaining) {
+                this.traceStartTimes.delete(traceId);
+                continue;
+            }
+            let min = Infinity;
+            for (const id of remaining)
+                min = Math.min(min, this.spans.get(id).startTime);
+            this.traceStartTimes.set(traceId, min);
+        }
+    }
+    // Evict whole traces, oldest first, so no half-broken trace trees are left behind
     cleanup() {
-        const arr = this.getAllSpans();
-        const drop = Math.floor(arr.length * 0.2);
-        for (let i = 0; i < drop; i++)
-            this.spans.delete(arr[i].spanId);
+        const target = Math.floor(this.maxSpans * this.evictionRatio);
+        const traces = Array.from(this.traceStartTimes.entries()).sort((a, b) => a[1] - b[1]);
+        const toDelete = new Set();
+        for (const [traceId] of traces) {
+            if (toDelete.size >= target)
+                break;
+            for (const id of this.spansByTrace.get(traceId))
+                toDelete.add(id);
+        }
+        this.removeSpans(toDelete);
+        debugLog.log(`[DEBUG] SpanCache: Evicted ${toDelete.size} spans from oldest traces`);
+    }
+}
+const SPAN_STORE_DIR = path.join(process.cwd(), '.syncause', 'spans');
+const SPAN_STORE_SEGMENT_MAX_BYTES = 8 * 1024 * 1024; // Roll over to a new segment after 8MB
+const SPAN_STORE_SEGMENT_MAX_AGE_MS = 60 * 60 * 1000; // ...or after one hour
+const SPAN_STORE_MAX_TOTAL_BYTES = 256 * 1024 * 1024; // Delete oldest segments beyond 256MB
+const SPAN_STORE_RETENTION_MS = 24 * 60 * 60 * 1000; // Delete segments not written to for a day
+const SPAN_STORE_FLUSH_INTERVAL_MS = 1000;
+function parseSegmentLine(line, bounds) {
+    if (!line)
+        return null;
+    try {
+        const rec = JSON.parse(line);
+        bounds.min = Math.min(bounds.min, rec.startTime);
+        bounds.max = Math.max(bounds.max, rec.startTime);
+        return rec;
+    }
+    catch {
+        // Skip a line truncated by a crash mid-write
+        return null;
+    }
+}
+// Order of span pages: newest first, ties broken by spanId
+function compareSpansNewestFirst(a, b) {
+    return b.startTime - a.startTime || (a.spanId < b.spanId ? 1 : a.spanId > b.spanId ? -1 : 0);
+}
+// Append-only store of rolling NDJSON segments (one CachedSpanRec per line)
+class SpanStore {
+    constructor(dir) {
+        this.dir = dir;
+        this.segments = [];
+        this.buffer = [];
+        this.bufferMinStart = Infinity;
+        this.bufferMaxStart = -Infinity;
+        this.flushTimer = null;
+        fs.mkdirSync(dir, { recursive: true });
+        for (const name of fs.readdirSync(dir)) {
+            const match = /^segment-(\d+)(?:-\d+)?\.ndjson$/.exec(name);
+            if (!match)
+                continue;
+            const file = path.join(dir, name);
+            const stat = fs.statSync(file);
+            this.segments.push({
+                file,
+                createdAt: parseInt(match[1], 10),
+                lastWriteAt: stat.mtimeMs,
+                size: stat.size,
+                minStartTime: -Infinity,
+                maxStartTime: Infinity,
+            });
+        }
+        this.segments.sort((a, b) => a.createdAt - b.createdAt || a.file.localeCompare(b.file));
+        this.enforceRetention();
+        this.flushTimer = setInterval(() => this.flush(), SPAN_STORE_FLUSH_INTERVAL_MS);
+        this.flushTimer.unref();
+        // Flush synchronously on the way out so the spans explaining a crash are not lost
+        process.on('exit', () => this.flush());
+    }
+    append(rec) {
+        this.buffer.push(JSON.stringify(rec) + '\n');
+        this.bufferMinStart = Math.min(this.bufferMinStart, rec.startTime);
+        this.bufferMaxStart = Math.max(this.bufferMaxStart, rec.startTime);
+    }
+    flush() {
+        if (this.buffer.length === 0)
+            return;
+        const data = this.buffer.join('');
+        this.buffer = [];
+        try {
+            const segment = this.writableSegment(Buffer.byteLength(data));
+            fs.appendFileSync(segment.file, data);
+            segment.size += Buffer.byteLength(data);
+            segment.lastWriteAt = Date.now();
+            segment.minStartTime = Math.min(segment.minStartTime, this.bufferMinStart);
+            segment.maxStartTime = Math.max(segment.maxStartTime, this.bufferMaxStart);
+            this.enforceRetention();
+        }
+        catch (e) {
+            debugLog.error('[DEBUG] SpanStore: Failed to write segment:', e);
+        }
+        this.bufferMinStart = Infinity;
+        this.bufferMaxStart = -Infinity;
+    }
+    // Most recent spans across segments, oldest first. Reads synchronously: only used to refill the
+    // cache at startup.
+    loadRecent(limit) {
+        this.flush();
+        const chunks = [];
+        let count = 0;
+        for (let i = this.segments.length - 1; i >= 0 && count < limit; i--) {
+            const recs = this.readSegmentSync(this.segments[i]);
+            chunks.unshift(recs);
+            count += recs.length;
+        }
+        const all = [].concat(...chunks);
+        return all.slice(-limit).sort((a, b) => a.startTime - b.startTime);
+    }
+    // Scan the store newest first for spans matching the predicate, skipping segments outside the time
+    // range. Segments are streamed, so a query on a large store neither blocks the event loop nor holds
+    // the store in memory. With a limit, only the newest `limit` matches are kept and the scan stops once
+    // no older segment can hold a newer one.
+    async query(predicate, startTime, endTime, limit) {
+        if (limit === 0)
+            return [];
+        let matches = [];
+        const keepNewest = () => {
+            if (limit === undefined || matches.length <= limit)
+                return;
+            matches = matches.sort(compareSpansNewestFirst).slice(0, limit);
+        };
+        // Spans not flushed to a segment yet
+        for (const line of this.buffer) {
+            const rec = JSON.parse(line);
+            if (predicate(rec))
+                matches.push(rec);
+        }
+        keepNewest();
+        // Retention may drop segments while this one is being read
+        const segments = this.segments.slice();
+        // A span is written once it has ended, so its segment's last write bounds its start time
+        const latestStart = segments.map(s => Math.min(s.maxStartTime, s.lastWriteAt * 1000));
+        for (let i = 1; i < latestStart.length; i++)
+            latestStart[i] = Math.max(latestStart[i], latestStart[i - 1]);
+        for (let i = segments.length - 1; i >= 0; i--) {
+            if (limit !== undefined && matches.length >= limit &&
+                matches.sort(compareSpansNewestFirst)[limit - 1].startTime > latestStart[i]) {
+                break;
+            }
+            const segment = segments[i];
+            if (typeof startTime === 'number' && segment.maxStartTime < startTime)
+                continue;
+            if (typeof endTime === 'number' && segment.minStartTime > endTime)
+                continue;
+            await this.readSegment(segment, rec => {
+                if (predicate(rec))
+                    matches.push(rec);
+            });
+            keepNewest();
+        }
+        return matches;
+    }
+    clear() {
+        this.buffer = [];
+        for (const segment of this.segments)
+            this.deleteSegment(segment);
+        this.segments = [];
+    }
+    writableSegment(incomingBytes) {
+        const now = Date.now();
+        const last = this.segments[this.segments.length - 1];
+        if (last &&
+            last.size + incomingBytes <= SPAN_STORE_SEGMENT_MAX_BYTES &&
+            now - last.createdAt < SPAN_STORE_SEGMENT_MAX_AGE_MS) {
+            return last;
+        }
+        let file = path.join(this.dir, `segment-${now}.ndjson`);
+        for (let n = 1; fs.existsSync(file); n++)
+            file = path.join(this.dir, `segment-${now}-${n}.ndjson`);
+        const segment = { file, createdAt: now, lastWriteAt: now, size: 0, minStartTime: Infinity, maxStartTime: -Infinity };
+        this.segments.push(segment);
+        return segment;
+    }
+    readSegmentSync(segment) {
+        let content;
+        try {
+            content = fs.readFileSync(segment.file, 'utf8');
+        }
+        catch {
+            return [];
+        }
+        const recs = [];
+        const bounds = { min: Infinity, max: -Infinity };
+        for (const line of content.split('\n')) {
+            const rec = parseSegmentLine(line, bounds);
+            if (rec)
+                recs.push(rec);
+        }
+        segment.minStartTime = bounds.min;
+        segment.maxStartTime = bounds.max;
+        return recs;
+    }
+    async readSegment(segment, onRecord) {
+        const bounds = { min: Infinity, max: -Infinity };
+        const writtenAt = segment.lastWriteAt;
+        const lines = readline.createInterface({ input: fs.createReadStream(segment.file, 'utf8'), crlfDelay: Infinity });
+        try {
+            for await (const line of lines) {
+                const rec = parseSegmentLine(line, bounds);
+                if (rec)
+                    onRecord(rec);
+            }
+        }
+        catch {
+            // Deleted by retention while being read
+            return;
+        }
+        // A flush during the read may have appended spans these bounds do not cover
+        if (segment.lastWriteAt !== writtenAt)
+            return;
+        segment.minStartTime = bounds.min;
+        segment.maxStartTime = bounds.max;
+    }
+    enforceRetention() {
+        const cutoff = Date.now() - SPAN_STORE_RETENTION_MS;
+        let total = this.segments.reduce((sum, s) => sum + s.size, 0);
+        // Always keep the newest segment, it is the one being written to
+        while (this.segments.length > 1 &&
+            (total > SPAN_STORE_MAX_TOTAL_BYTES || this.segments[0].lastWriteAt < cutoff)) {
+            const oldest = this.segments.shift();
+            total -= oldest.size;
+            this.deleteSegment(oldest);
+        }
+    }
+    deleteSegment(segment) {
+        try {
+            fs.unlinkSync(segment.file);
+        }
+        catch {
+            // Already gone
+        }
     }
 }
 const spanCache = new SpanCache();
+let spanStore = null;
+function parseSpanSource(value) {
+    return value === 'disk' || value === 'all' ? value : 'memory';
+}
+// Query spans from memory, the on-disk store, or both (deduplicated by spanId, sorted by start time).
+// A limit applies to the disk side only: it reads no more than the newest `limit` matches.
+async function querySpanSources(source, fromMemory, predicate, startTime, endTime, limit) {
+    const memory = source === 'disk' ? [] : fromMemory();
+    if (source === 'memory' || !spanStore)
+        return memory;
+    const byId = new Map();
+    for (const rec of await spanStore.query(predicate, startTime, endTime, limit))
+        byId.set(rec.spanId, rec);
+    for (const rec of memory)
+        byId.set(rec.spanId, rec);
+    return Array.from(byId.values()).sort((a, b) => a.startTime - b.startTime);
+}
+// A malformed request parameter; the HTTP routes answer it with 400 rather than 500
+class InvalidParamError extends Error {
+}
+function parseOptionalNumber(value, name) {
+    if (value === undefined || value === null || value === '')
+        return undefined;
+    const n = Number(value);
+    if (!Number.isFinite(n))
+        throw new InvalidParamError(`Invalid ${name}: ${value}`);
+    return n;
+}
+function parseOptionalLimit(value) {
+    const limit = parseOptionalNumber(value, 'limit');
+    return limit !== undefined ? Math.max(0, Math.floor(limit)) : undefined;
+}
+// Build a SpanQuery from HTTP query-string or WebSocket params. Attribute filters are
+// given as flat keys: `attr.<key>=<value>` (equality) and `attrContains.<key>=<substring>`;
+// value filters as `value.<argIndex|return>[.<path>]=<value>`, e.g. `value.0.user.role=admin`
+function parseSpanQuery(params) {
+    const status = params.status ? String(params.status) : undefined;
+    if (status !== undefined && status !== 'ok' && status !== 'error' && status !== 'unset') {
+        throw new InvalidParamError(`Invalid status: ${status} (expected ok, error or unset)`);
+    }
+    const attributes = [];
+    const values = [];
+    for (const key of Object.keys(params)) {
+        if (key.startsWith('attr.')) {
+            attributes.push({ key: key.slice('attr.'.length), value: String(params[key]), op: 'eq' });
+        }
+        else if (key.startsWith('attrContains.')) {
+            attributes.push({ key: key.slice('attrContains.'.length), value: String(params[key]), op: 'contains' });
+        }
+        else if (key.startsWith('value.')) {
+            const [slot, ...path] = key.slice('value.'.length).split('.');
+            if (slot !== 'return' && !/^\d+$/.test(slot)) {
+                throw new InvalidParamError(`Invalid value filter: ${key} (expected value.<argIndex|return>[.<path>])`);
+            }
+            values.push({ slot, path, value: String(params[key]) });
+        }
+    }
+    const cursor = params.cursor ? String(params.cursor) : undefined;
+    // Rejected here rather than when the page is read, so callers get the error up front
+    if (cursor)
+        decodeSpanCursor(cursor);
+    return {
+        traceId: params.traceId ? String(params.traceId) : undefined,
+        functionName: params.functionName ? String(params.functionName) : undefined,
+        startTime: parseOptionalNumber(params.startTime, 'startTime'),
+        endTime: parseOptionalNumber(params.endTime, 'endTime'),
+        status: status,
+        minDurationMs: parseOptionalNumber(params.minDurationMs, 'minDurationMs'),
+        maxDurationMs: parseOptionalNumber(params.maxDurationMs, 'maxDurationMs'),
+        attributes,
+        values,
+        limit: parseOptionalLimit(params.limit),
+        cursor,
+        source: parseSpanSource(params.source),
+    };
+}
+function matchesSpanQuery(s, q) {
+    if (q.traceId && s.traceId !== q.traceId)
+        return false;
+    if (q.functionName && s.attributes['function.name'] !== q.functionName)
+        return false;
+    if (q.startTime !== undefined && s.startTime < q.startTime)
+        return false;
+    if (q.endTime !== undefined && s.endTime > q.endTime)
+        return false;
+    if (q.status === 'error' && s.status.code !== api_1.SpanStatusCode.ERROR)
+        return false;
+    if (q.status === 'ok' && s.status.code !== api_1.SpanStatusCode.OK)
+        return false;
+    if (q.status === 'unset' && s.status.code !== api_1.SpanStatusCode.UNSET)
+        return false;
+    // Durations are kept in microseconds
+    if (q.minDurationMs !== undefined && s.duration / 1000 < q.minDurationMs)
+        return false;
+    if (q.maxDurationMs !== undefined && s.duration / 1000 > q.maxDurationMs)
+        return false;
+    for (const f of q.attributes) {
+        const v = s.attributes[f.key];
+        if (v === undefined || v === null)
+            return false;
+        const str = String(v);
+        if (f.op === 'eq' ? str !== f.value : !str.includes(f.value))
+            return false;
+    }
+    for (const f of q.values) {
+        let node = recordedPreview(s, f.slot);
+        for (const segment of f.path) {
+            if (!node)
+                break;
+            node = previewChild(node, segment);
+        }
+        if (!node)
+            return false;
+        const matchesValue = node.value !== undefined && String(node.value) === f.value;
+        const matchesType = STRUCTURED_PREVIEW_TYPES.has(node.type) && (node.type === f.value || node.className === f.value);
+        if (!matchesValue && !matchesType)
+            return false;
+    }
+    return true;
+}
+// Primitives are only recorded in rendered form, containers also as `<attribute>.preview`
+function recordedPreview(s, slot) {
+    const key = slot === 'return' ? 'function.return.value' : `function.args.${slot}`;
+    const structured = s.attributes[`${key}.preview`];
+    if (structured !== undefined) {
+        try {
+            return JSON.parse(String(structured));
+        }
+        catch {
+            return undefined;
+        }
+    }
+    const rendered = s.attributes[key];
+    return rendered === undefined ? undefined : { type: 'string', value: String(rendered) };
+}
+function previewChild(node, segment) {
+    if (node.props && Object.prototype.hasOwnProperty.call(node.props, segment))
+        return node.props[segment];
+    if (node.items && /^\d+$/.test(segment))
+        return node.items[Number(segment)];
+    if (node.entries)
+        return node.entries.find(([key]) => String(key.value) === segment)?.[1];
+    return undefined;
+}
+// Spans are ordered by (startTime, spanId); the cursor marks the oldest span already returned
+function encodeSpanCursor(s) {
+    return Buffer.from(JSON.stringify({ t: s.startTime, id: s.spanId })).toString('base64url');
+}
+function decodeSpanCursor(cursor) {
+    try {
+        const c = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof c.t === 'number' && typeof c.id === 'string')
+            return c;
+    }
+    catch {
+        // Fall through to the error below
+    }
+    throw new InvalidParamError(`Invalid cursor: ${cursor}`);
+}
+// Shared by the /remote-debug/spans route and the get_spans action
+async function findSpans(q) {
+    const c = q.cursor ? decodeSpanCursor(q.cursor) : null;
+    const matches = (s) => matchesSpanQuery(s, q) &&
+        (!c || s.startTime < c.t || (s.startTime === c.t && s.spanId < c.id));
+    // Start from the most selective index, then apply every filter
+    const fromMemory = () => {
+        let candidates;
+        if (q.traceId)
+            candidates = getSpansByTraceId(q.traceId);
+        else if (q.functionName)
+            candidates = getSpansByFunctionName(q.functionName);
+        else if (q.startTime !== undefined)
+            candidates = getSpansByTimeRange(q.startTime, q.endTime ?? Infinity);
+        else
+            candidates = getSpans();
+        return candidates.filter(matches);
+    };
+    // One match past the page tells whether there is a next page
+    const diskLimit = q.limit !== undefined ? q.limit + 1 : undefined;
+    const spans = await querySpanSources(q.source, fromMemory, matches, q.startTime, q.endTime, diskLimit);
+    spans.sort((a, b) => a.startTime - b.startTime || (a.spanId < b.spanId ? -1 : a.spanId > b.spanId ? 1 : 0));
+    const total = spans.length;
+    if (q.limit === undefined || q.limit >= total) {
+        return { spans, total, nextCursor: null };
+    }
+    const page = spans.slice(total - q.limit);
+    return { spans: page, total, nextCursor: page.length ? encodeSpanCursor(page[0]) : null };
+}
+function formatSpan(s) {
+    return {
+        traceId: s.traceId,
+        spanId: s.spanId,
+        parentSpanId: s.parentSpanId,
+        name: s.name,
+        kind: s.kind,
+        startTime: new Date(s.startTime / 1000000).toISOString(),
+        endTime: new Date(s.endTime / 1000000).toISOString(),
+        durationMs: s.duration / 1000000,
+        status: s.status,
+        attributes: s.attributes,
+        events: s.events,
+        links: s.links,
+    };
+}
 function getSpanCache() { return spanCache; }
 function getSpans(limit) { return spanCache.getAllSpans(limit); }
 function getSpansByTraceId(traceId) { return spanCache.getSpansByTraceId(traceId); }
@@ -217,10 +1195,19 @@ function getSpansByFunctionName(name) { return spanCache.getSpansByFunctionName(
 function getSpansByTimeRange(startTime, endTime) { return spanCache.getSpansByTimeRange(startTime, endTime); }
 function getTraceIds(startTime, endTime, limit) { return spanCache.getTraceIds(startTime, endTime, limit); }
 function getSpanStats() { return spanCache.getStatistics(); }
+function getFunctionStats() { return spanCache.getFunctionStatistics(); }
 function clearSpans() { spanCache.clear(); }
 // Get traces with full span data grouped by traceId
 function getTracesWithSpans(startTime, endTime, limit) {
-    const allSpans = spanCache.getAllSpans();
+    return groupTraces(spanCache.getAllSpans(), startTime, endTime, limit);
+}
+// Shared by the /remote-debug/traces route and the get_traces action
+async function findTraces(startTime, endTime, limit, source) {
+    const spans = await querySpanSources(source, () => spanCache.getAllSpans(), span => (startTime === undefined || span.startTime >= startTime) &&
+        (endTime === undefined || span.startTime <= endTime), startTime, endTime);
+    return groupTraces(spans, startTime, endTime, limit);
+}
+function groupTraces(allSpans, startTime, endTime, limit) {
     let filteredSpans = allSpans;
     // Filter by time range if provided
     if (startTime !== undefined || endTime !== undefined) {
@@ -278,47 +1265,342 @@ function getTracesWithSpans(startTime, endTime, limit) {
     traces.sort((a, b) => b.startTimeMilli - a.startTimeMilli);
     return typeof limit === 'number' ? traces.slice(0, limit) : traces;
 }
-// In development, disable auto instrumentations to avoid HMR conflicts
-const isDevelopment = process.env.NODE_ENV === 'development';
-const sdk = new sdk_node_1.NodeSDK({
-    traceExporter: new CachedSpanExporter(),
-    // Disabled to reduce console noise
-    // metricReader: new PeriodicExportingMetricReader({
-    //     exporter: new ConsoleMetricExporter(),
-    // }),
-    // Only enable auto instrumentations in production
-    instrumentations: isDevelopment ? [] : [(0, auto_instrumentations_node_1.getNodeAutoInstrumentations)()],
-});
-exports.sdk = sdk;
-const tracer = api_1.trace.getTracer('app');
-const WRAPPED = Symbol('otel_wrapped');
-const wrappedModules = new Set();
-// SpanId -> FunctionName mapping table for tracking callers
-const spanNameMap = new Map();
-const SPAN_NAME_MAP_MAX_SIZE = 10000;
-function recordSpanName(spanId, functionName) {
-    spanNameMap.set(spanId, functionName);
-    // Clean up expired mappings to prevent memory leaks
-    if (spanNameMap.size > SPAN_NAME_MAP_MAX_SIZE) {
-        const keysToDelete = Array.from(spanNameMap.keys()).slice(0, 1000);
-        keysToDelete.forEach(k => spanNameMap.delete(k));
+/**
+ * Build the nested call tree of a trace, the production counterpart of getCallTree in test-probe-runtime.
+ * Parents are resolved through parentSpanId first, then function.caller.spanId.
+ * @returns The root nodes ordered by start time, or null if the trace is unknown
+ */
+async function getCallTree(traceId, source = 'memory') {
+    const spans = await querySpanSources(source, () => spanCache.getSpansByTraceId(traceId), s => s.traceId === traceId);
+    if (spans.length === 0)
+        return null;
+    const nodes = new Map();
+    for (const s of spans) {
+        const argCount = Math.min(Number(s.attributes['function.args.count']) || 0, MAX_ARGS);
+        const args = [];
+        for (let i = 0; i < argCount; i++) {
+            const arg = s.attributes[`function.args.${i}`];
+            args.push(arg === undefined ? '' : String(arg));
+        }
+        const node = {
+            spanId: s.spanId,
+            name: s.name,
+            functionName: s.attributes['function.name'],
+            startTime: new Date(s.startTime / 1000).toISOString(),
+            durationMs: s.duration / 1000,
+            status: s.status.code === api_1.SpanStatusCode.ERROR ? 'error' : 'ok',
+            args,
+            children: [],
+        };
+        if (s.status.code === api_1.SpanStatusCode.ERROR && s.status.message)
+            node.errorMessage = s.status.message;
+        if (s.attributes['function.return.value'] !== undefined)
+            node.returnValue = String(s.attributes['function.return.value']);
+        nodes.set(s.spanId, node);
+    }
+    const roots = [];
+    for (const s of spans) {
+        const node = nodes.get(s.spanId);
+        const callerSpanId = s.attributes['function.caller.spanId'];
+        const parentId = s.parentSpanId && nodes.has(s.parentSpanId)
+            ? s.parentSpanId
+            : (callerSpanId && nodes.has(callerSpanId) ? callerSpanId : undefined);
+        if (parentId && parentId !== s.spanId) {
+            node.parentSpanId = parentId;
+            nodes.get(parentId).children.push(node);
+        }
+        else {
+            roots.push(node);
+        }
     }
+    // spans come back sorted by start time, so children are already in call order
+    return roots;
 }
-function getCallerName(parentSpanId) {
-    return parentSpanId ? spanNameMap.get(parentSpanId) : undefined;
+/**
+ * Render a trace's call tree as indented text, one call per line
+ */
+async function formatCallTree(traceId, source = 'memory') {
+    const roots = await getCallTree(traceId, source);
+    return roots ? renderCallTree(roots) : 'No trace found';
 }
-function cleanupSpanName(spanId) {
-    // Delayed cleanup to allow time for async operations
-    setTimeout(() => spanNameMap.delete(spanId), 5000);
+function renderCallTree(roots) {
+    const lines = [];
+    const formatNode = (node, prefix, connector, childPrefix) => {
+        let line = `${prefix}${connector}${node.name} (${node.durationMs.toFixed(3)}ms)`;
+        if (node.status === 'error')
+            line += ` [ERROR${node.errorMessage ? `: ${node.errorMessage}` : ''}]`;
+        if (node.args.length > 0)
+            line += ` args: [${node.args.join(', ')}]`;
+        if (node.returnValue)
+            line += ` => ${node.returnValue}`;
+        lines.push(line);
+        node.children.forEach((child, i) => {
+            const isLast = i === node.children.length - 1;
+            formatNode(child, prefix + childPrefix, isLast ? '`- ' : '|- ', isLast ? '   ' : '|  ');
+        });
+    };
+    roots.forEach((root, i) => {
+        if (i > 0)
+            lines.push('');
+        formatNode(root, '', '', '');
+    });
+    return lines.join('\n');
 }
-// Intercept console.log and other console methods
-const consoleMethods = ['log', 'error', 'warn', 'info', 'debug'];
-const originalConsole = {};
-// Save original console methods first
-consoleMethods.forEach(method => {
-    originalConsole[method] = console[method];
-});
-// Log file path
+const TRACE_EXPORT_FORMATS = ['chrome', 'speedscope', 'otlp-json'];
+// Chrome "X" events and speedscope evented profiles must nest strictly, but concurrent
+// async calls overlap; spread spans across lanes so each lane only holds nested spans
+function assignLanes(spans) {
+    const lanes = []; // Stack of open span end times per lane
+    return spans.map(s => {
+        for (let i = 0; i < lanes.length; i++) {
+            const stack = lanes[i];
+            while (stack.length && stack[stack.length - 1] <= s.startTime)
+                stack.pop();
+            if (!stack.length || stack[stack.length - 1] >= s.endTime) {
+                stack.push(s.endTime);
+                return i;
+            }
+        }
+        lanes.push([s.endTime]);
+        return lanes.length - 1;
+    });
+}
+// Chrome Trace Event Format (chrome://tracing, Perfetto); timestamps are microseconds
+function toChromeTrace(traceId, spans) {
+    const lanes = assignLanes(spans);
+    return {
+        displayTimeUnit: 'ms',
+        otherData: { traceId, app: APP_NAME },
+        traceEvents: spans.map((s, i) => ({
+            name: s.attributes['function.name'] || s.name,
+            cat: s.attributes['function.type'] || 'span',
+            ph: 'X',
+            ts: s.startTime,
+            dur: s.duration,
+            pid: 1,
+            tid: lanes[i] + 1,
+            args: {
+                spanId: s.spanId,
+                parentSpanId: s.parentSpanId,
+                callerName: s.attributes['function.caller.name'],
+                status: s.status.code === api_1.SpanStatusCode.ERROR ? 'error' : 'ok',
+                ...s.attributes,
+            },
+        })),
+    };
+}
+// speedscope evented profiles, one per lane, sharing the frame table
+function toSpeedscope(traceId, spans) {
+    const lanes = assignLanes(spans);
+    const frames = [];
+    const frameIndex = new Map();
+    const frameOf = (name) => {
+        if (!frameIndex.has(name)) {
+            frameIndex.set(name, frames.length);
+            frames.push({ name });
+        }
+        return frameIndex.get(name);
+    };
+    const laneCount = lanes.length ? Math.max(...lanes) + 1 : 0;
+    const profiles = [];
+    for (let lane = 0; lane < laneCount; lane++) {
+        // Spans within a lane nest strictly, so a stack walk yields ordered open/close events
+        const events = [];
+        const stack = [];
+        const close = (until) => {
+            while (stack.length && stack[stack.length - 1].end <= until) {
+                const top = stack.pop();
+                events.push({ type: 'C', frame: top.frame, at: top.end });
+            }
+        };
+        spans.forEach((s, i) => {
+            if (lanes[i] !== lane)
+                return;
+            close(s.startTime);
+            const frame = frameOf(String(s.attributes['function.name'] || s.name));
+            events.push({ type: 'O', frame, at: s.startTime });
+            stack.push({ frame, end: s.endTime });
+        });
+        close(Infinity);
+        profiles.push({
+            type: 'evented',
+            name: laneCount > 1 ? `${traceId} (lane ${lane + 1})` : traceId,
+            unit: 'microseconds',
+            startValue: events.length ? events[0].at : 0,
+            endValue: events.length ? events[events.length - 1].at : 0,
+            events,
+        });
+    }
+    return {
+        $schema: 'https://www.speedscope.app/file-format-schema.json',
+        name: `Trace ${traceId}`,
+        exporter: 'syncause-ts-agent',
+        activeProfileIndex: 0,
+        shared: { frames },
+        profiles,
+    };
+}
+function toOtlpAnyValue(v) {
+    if (typeof v === 'string')
+        return { stringValue: v };
+    if (typeof v === 'boolean')
+        return { boolValue: v };
+    if (typeof v === 'number')
+        return Number.isInteger(v) ? { intValue: String(v) } : { doubleValue: v };
+    if (Array.isArray(v))
+        return { arrayValue: { values: v.map(toOtlpAnyValue) } };
+    return { stringValue: String(v) };
+}
+function toOtlpAttributes(attrs) {
+    return Object.entries(attrs)
+        .filter(([, v]) => v !== undefined && v !== null)
+        .map(([key, v]) => ({ key, value: toOtlpAnyValue(v) }));
+}
+// Microseconds (possibly fractional) to a decimal nanosecond string without float precision loss
+function microsToNanoString(micros) {
+    const whole = Math.floor(micros);
+    return (BigInt(whole) * BigInt(1000) + BigInt(Math.round((micros - whole) * 1000))).toString();
+}
+// OTLP/JSON ExportTraceServiceRequest, importable by Jaeger, Tempo and the OTel Collector
+function toOtlpJson(spans) {
+    return {
+        resourceSpans: [{
+                resource: {
+                    attributes: toOtlpAttributes({ 'service.name': APP_NAME, 'service.instance.id': APP_ID }),
+                },
+                scopeSpans: [{
+                        scope: { name: 'app' },
+                        spans: spans.map(s => ({
+                            traceId: s.traceId,
+                            spanId: s.spanId,
+                            parentSpanId: s.parentSpanId || '',
+                            name: s.name,
+                            // OTLP kinds are the API SpanKind values shifted by one (0 is UNSPECIFIED)
+                            kind: (parseInt(s.kind, 10) || 0) + 1,
+                            startTimeUnixNano: microsToNanoString(s.startTime),
+                            endTimeUnixNano: microsToNanoString(s.endTime),
+                            attributes: toOtlpAttributes(s.attributes),
+                            events: s.events.map(e => ({
+                                name: e.name,
+                                timeUnixNano: microsToNanoString(e.timestamp),
+                                attributes: toOtlpAttributes(e.attributes),
+                            })),
+                            links: s.links.map(l => ({
+                                traceId: l.traceId,
+                                spanId: l.spanId,
+                                attributes: toOtlpAttributes(l.attributes),
+                            })),
+                            status: { code: s.status.code, message: s.status.message || '' },
+                        })),
+                    }],
+            }],
+    };
+}
+/**
+ * Convert a trace to a format external viewers understand
+ * @param format - 'chrome' (chrome://tracing, Perfetto), 'speedscope' or 'otlp-json'
+ * @returns The converted document, or null if the trace is unknown
+ */
+async function exportTrace(traceId, format, source = 'memory') {
+    const spans = await querySpanSources(source, () => spanCache.getSpansByTraceId(traceId), s => s.traceId === traceId);
+    if (spans.length === 0)
+        return null;
+    // Parents before the children that start at the same instant
+    spans.sort((a, b) => a.startTime - b.startTime || b.endTime - a.endTime);
+    switch (format) {
+        case 'chrome': return toChromeTrace(traceId, spans);
+        case 'speedscope': return toSpeedscope(traceId, spans);
+        case 'otlp-json': return toOtlpJson(spans);
+    }
+}
+function parseTraceExportFormat(value) {
+    const format = value ? String(value) : 'chrome';
+    if (!TRACE_EXPORT_FORMATS.includes(format)) {
+        throw new InvalidParamError(`Invalid format: ${format} (expected ${TRACE_EXPORT_FORMATS.join(', ')})`);
+    }
+    return format;
+}
+const SPAN_STREAM_MAX_SUBSCRIBERS = 32;
+const SPAN_STREAM_MAX_QUEUE = 1000; // Per subscriber; oldest spans are dropped beyond this
+const SPAN_STREAM_BATCH_SIZE = 100;
+const SPAN_STREAM_FLUSH_INTERVAL_MS = 100;
+// Fans newly exported spans out to live subscribers with bounded per-subscriber buffering
+class SpanStream {
+    constructor() {
+        this.subscriptions = new Map();
+        this.nextId = 1;
+        this.flushTimer = null;
+    }
+    subscribe(query, sink) {
+        if (this.subscriptions.size >= SPAN_STREAM_MAX_SUBSCRIBERS) {
+            throw new Error(`Too many span subscriptions (max ${SPAN_STREAM_MAX_SUBSCRIBERS})`);
+        }
+        const sub = { id: `sub-${this.nextId++}`, query, sink, queue: [], dropped: 0 };
+        this.subscriptions.set(sub.id, sub);
+        debugLog.log(`[DEBUG] SpanStream: Added ${sink.kind} subscription ${sub.id}`);
+        return sub;
+    }
+    unsubscribe(id) {
+        const removed = this.subscriptions.delete(id);
+        if (removed)
+            debugLog.log(`[DEBUG] SpanStream: Removed subscription ${id}`);
+        return removed;
+    }
+    unsubscribeAll(kind) {
+        for (const sub of Array.from(this.subscriptions.values())) {
+            if (sub.sink.kind === kind)
+                this.unsubscribe(sub.id);
+        }
+    }
+    publish(rec) {
+        if (this.subscriptions.size === 0)
+            return;
+        for (const sub of this.subscriptions.values()) {
+            if (!matchesSpanQuery(rec, sub.query))
+                continue;
+            sub.queue.push(rec);
+            if (sub.queue.length > SPAN_STREAM_MAX_QUEUE) {
+                sub.queue.shift();
+                sub.dropped++;
+            }
+        }
+        this.scheduleFlush();
+    }
+    scheduleFlush() {
+        if (this.flushTimer)
+            return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, SPAN_STREAM_FLUSH_INTERVAL_MS);
+        this.flushTimer.unref();
+    }
+    flush() {
+        let pending = false;
+        for (const sub of Array.from(this.subscriptions.values())) {
+            if (sub.queue.length === 0)
+                continue;
+            if (sub.sink.ready()) {
+                const batch = sub.queue.splice(0, SPAN_STREAM_BATCH_SIZE);
+                try {
+                    sub.sink.send(batch, sub.dropped);
+                    sub.dropped = 0;
+                }
+                catch (error) {
+                    debugLog.error(`[DEBUG] SpanStream: Failed to deliver to ${sub.id}, unsubscribing:`, error);
+                    this.unsubscribe(sub.id);
+                    continue;
+                }
+            }
+            if (sub.queue.length > 0)
+                pending = true;
+        }
+        if (pending)
+            this.scheduleFlush();
+    }
+}
+const spanStream = new SpanStream();
+// Log file path
 const LOG_DIR = path.join(process.cwd(), '.syncause');
 const LOG_FILE = path.join(LOG_DIR, 'ts_agent.log');
 // Ensure log directory exists
@@ -364,123 +1646,1548 @@ const debugLog = {
     info: (...args) => writeToLogFile('info', ...args),
     debug: (...args) => writeToLogFile('debug', ...args),
 };
+// In development, disable auto instrumentations to avoid HMR conflicts
+const isDevelopment = process.env.NODE_ENV === 'development';
+const otlpSpanProcessor = createOtlpSpanProcessor();
+const sdk = new sdk_node_1.NodeSDK({
+    spanProcessors: [
+        new sdk_trace_node_1.BatchSpanProcessor(new CachedSpanExporter()),
+        ...(otlpSpanProcessor ? [otlpSpanProcessor] : []),
+    ],
+    // Disabled to reduce console noise
+    // metricReader: new PeriodicExportingMetricReader({
+    //     exporter: new ConsoleMetricExporter(),
+    // }),
+    // Only enable auto instrumentations in production
+    instrumentations: isDevelopment ? [] : [(0, auto_instrumentations_node_1.getNodeAutoInstrumentations)()],
+});
+exports.sdk = sdk;
+const tracer = api_1.trace.getTracer('app');
+const WRAPPED = Symbol('otel_wrapped');
+// Registered symbol, so any tool can get from a wrapper back to the original function
+const ORIGINAL = Symbol.for('syncause.original');
+// Prototypes of async, generator and async generator functions
+const FUNCTION_KIND_PROTOTYPES = new Set([
+    Object.getPrototypeOf(async function () { }),
+    Object.getPrototypeOf(function* () { }),
+    Object.getPrototypeOf(async function* () { }),
+]);
+// Make a wrapper look like the function it wraps to code that introspects it: name, arity
+// (Express error middleware, DI containers), static properties, [[Prototype]] (except the
+// async/generator kind), prototype and toString()
+function copyFunctionMetadata(wrapped, fn) {
+    // Class hierarchies (static inheritance) carry over, but a plain wrapper must not report the
+    // async/generator kind of fn through its constructor or Symbol.toStringTag
+    const proto = Object.getPrototypeOf(fn);
+    if (!FUNCTION_KIND_PROTOTYPES.has(proto))
+        Object.setPrototypeOf(wrapped, proto);
+    Object.defineProperty(wrapped, 'toString', {
+        value: function toString() { return fn.toString(); },
+        writable: true,
+        configurable: true,
+    });
+    for (const key of Reflect.ownKeys(fn)) {
+        // Legacy properties of sloppy-mode functions
+        if (key === 'arguments' || key === 'caller')
+            continue;
+        try {
+            Object.defineProperty(wrapped, key, Object.getOwnPropertyDescriptor(fn, key));
+        }
+        catch {
+            // Keep the wrapper's own value if it cannot be redefined
+        }
+    }
+    Object.defineProperty(wrapped, ORIGINAL, { value: fn });
+}
+// probe-wrapper.ts copies the metadata of the functions it wraps through this when the probe is loaded
+globalThis[Symbol.for('syncause.copyFunctionMetadata')] = copyFunctionMetadata;
+const wrappedModules = new Set();
+// SpanId -> FunctionName mapping table for tracking callers
+const spanNameMap = new Map();
+const SPAN_NAME_MAP_MAX_SIZE = 10000;
+function recordSpanName(spanId, functionName) {
+    spanNameMap.set(spanId, functionName);
+    // Clean up expired mappings to prevent memory leaks
+    if (spanNameMap.size > SPAN_NAME_MAP_MAX_SIZE) {
+        const keysToDelete = Array.from(spanNameMap.keys()).slice(0, 1000);
+        keysToDelete.forEach(k => spanNameMap.delete(k));
+    }
+}
+function getCallerName(parentSpanId) {
+    return parentSpanId ? spanNameMap.get(parentSpanId) : undefined;
+}
+function cleanupSpanName(spanId) {
+    // Delayed cleanup to allow time for async operations
+    setTimeout(() => spanNameMap.delete(spanId), 5000);
+}
+// Intercept console.log and other console methods
+const consoleMethods = ['log', 'error', 'warn', 'info', 'debug'];
+const originalConsole = {};
+// Save original console methods first
+consoleMethods.forEach(method => {
+    originalConsole[method] = console[method];
+});
 function isPromiseLike(x) {
     return x && typeof x.then === 'function';
 }
-function toStr(v) {
+const redactionRules = globalThis[Symbol.for('syncause.redaction')] = {
+    keyPattern: probeConfig.redactKeys.length > 0
+        ? new RegExp(probeConfig.redactKeys.map(p => `(?:${p})`).join('|'), 'i')
+        : null,
+    valuePatterns: probeConfig.redactValuePatterns.map(p => new RegExp(p, 'g')),
+    argMasks: new Map(Object.entries(probeConfig.redactArgs).map(([name, slots]) => [name, new Set(slots)])),
+    marker: probeConfig.redactionMarker,
+};
+// Masks are keyed by span name; a module-qualified span name ("src/auth.ts#login") also gets the
+// mask set for its bare function name
+function argMasksFor(spanName) {
+    const { argMasks } = redactionRules;
+    return argMasks.get(spanName) || argMasks.get(spanName.slice(spanName.lastIndexOf('#') + 1));
+}
+function redactString(s) {
+    for (const pattern of redactionRules.valuePatterns) {
+        s = s.replace(pattern, redactionRules.marker);
+    }
+    return s;
+}
+function isRedactedKey(key) {
+    const { keyPattern } = redactionRules;
+    return !!key && !!keyPattern && keyPattern.test(key);
+}
+// Total number of nodes in one preview, on top of the depth and per-container budgets
+const PREVIEW_MAX_NODES = 500;
+const STRUCTURED_PREVIEW_TYPES = new Set(['object', 'array', 'map', 'set', 'error', 'buffer', 'typedarray']);
+// Logpoint snapshots pass their own, larger limits
+function previewValue(v, maxDepth = PREVIEW_MAX_DEPTH, maxItems = PREVIEW_MAX_ITEMS, maxNodes = PREVIEW_MAX_NODES) {
     try {
-        if (v === undefined)
-            return '';
-        if (v === null)
-            return 'null';
-        if (typeof v === 'string')
-            return v;
-        if (typeof v === 'number' || typeof v === 'boolean')
-            return String(v);
-        const seen = new WeakSet();
-        const replacer = (_key, value) => {
-            if (typeof value === 'bigint')
-                return value.toString();
-            if (typeof value === 'function')
-                return `[Function ${value.name || 'anonymous'}]`;
-            if (typeof value === 'symbol')
-                return value.toString();
-            if (value instanceof Date)
-                return value.toISOString();
-            if (value instanceof Map)
-                return { __type: 'Map', value: Array.from(value.entries()) };
-            if (value instanceof Set)
-                return { __type: 'Set', value: Array.from(value.values()) };
-            if (value instanceof Error)
-                return { name: value.name, message: value.message, stack: value.stack };
-            if (typeof Buffer !== 'undefined' && Buffer.isBuffer && Buffer.isBuffer(value)) {
-                return { __type: 'Buffer', length: value.length };
+        return previewNode(v, 0, { nodes: maxNodes, maxDepth, maxItems, ancestors: new Set() });
+    }
+    catch {
+        return { type: 'unserializable' };
+    }
+}
+// Only recorded when it says more than the preview type does
+const BUILTIN_CLASS_NAMES = new Set(['Object', 'Array', 'Map', 'Set', 'Promise']);
+function getClassName(v) {
+    const name = Object.getPrototypeOf(v)?.constructor?.name;
+    return name && !BUILTIN_CLASS_NAMES.has(name) ? name : undefined;
+}
+function previewNode(v, depth, budget) {
+    budget.nodes--;
+    switch (typeof v) {
+        case 'undefined': return { type: 'undefined' };
+        case 'string': {
+            // Top-level strings get the full value budget, nested ones the preview budget
+            const limit = depth === 0 ? MAX_VALUE_LENGTH : PREVIEW_MAX_STRING_LENGTH;
+            const s = redactString(v);
+            return s.length > limit ? { type: 'string', value: s.slice(0, limit), size: s.length, truncated: true } : { type: 'string', value: s };
+        }
+        // NaN and Infinity do not survive JSON, so keep them as text
+        case 'number': return { type: 'number', value: Number.isFinite(v) ? v : String(v) };
+        case 'boolean': return { type: 'boolean', value: v };
+        case 'bigint': return { type: 'bigint', value: v.toString() };
+        case 'symbol': return { type: 'symbol', value: v.toString() };
+        case 'function': return { type: 'function', value: v.name || 'anonymous' };
+    }
+    if (v === null)
+        return { type: 'null' };
+    if (budget.ancestors.has(v))
+        return { type: 'circular' };
+    const className = getClassName(v);
+    if (v instanceof Date)
+        return { type: 'date', value: isNaN(v.getTime()) ? 'Invalid Date' : v.toISOString() };
+    if (v instanceof RegExp)
+        return { type: 'regexp', value: String(v) };
+    if (isPromiseLike(v))
+        return { type: 'promise', className };
+    if (typeof Buffer !== 'undefined' && Buffer.isBuffer(v))
+        return previewBytes('buffer', undefined, v, budget.maxItems);
+    if (ArrayBuffer.isView(v) && !(v instanceof DataView))
+        return previewBytes('typedarray', className, v, budget.maxItems);
+    const isError = v instanceof Error;
+    const type = isError ? 'error' : Array.isArray(v) ? 'array' : v instanceof Map ? 'map' : v instanceof Set ? 'set' : 'object';
+    const preview = { type, className };
+    if (isError)
+        preview.value = redactString(`${v.name}: ${v.message}`);
+    // Objects that know how to serialize themselves (URL, Decimal, ObjectId...) are previewed that way
+    if (type === 'object' && typeof v.toJSON === 'function') {
+        const json = v.toJSON();
+        if (json !== v)
+            return { ...previewNode(json, depth, budget), className };
+    }
+    const keys = type === 'object' || type === 'error' ? Object.keys(v) : [];
+    const size = type === 'array' ? v.length : type === 'map' || type === 'set' ? v.size : keys.length;
+    if (type !== 'object' || size > budget.maxItems)
+        preview.size = size;
+    if (size === 0)
+        return preview;
+    if (depth >= budget.maxDepth || budget.nodes <= 0) {
+        preview.truncated = true;
+        return preview;
+    }
+    budget.ancestors.add(v);
+    let taken = 0;
+    const hasRoom = () => taken < budget.maxItems && budget.nodes > 0;
+    if (type === 'array') {
+        preview.items = [];
+        for (; taken < v.length && hasRoom(); taken++)
+            preview.items.push(previewNode(v[taken], depth + 1, budget));
+    }
+    else if (type === 'set') {
+        preview.items = [];
+        for (const item of v) {
+            if (!hasRoom())
+                break;
+            preview.items.push(previewNode(item, depth + 1, budget));
+            taken++;
+        }
+    }
+    else if (type === 'map') {
+        preview.entries = [];
+        for (const [key, value] of v) {
+            if (!hasRoom())
+                break;
+            const keyPreview = previewNode(key, depth + 1, budget);
+            const redacted = typeof key === 'string' && isRedactedKey(key);
+            preview.entries.push([keyPreview, redacted ? { type: 'redacted' } : previewNode(value, depth + 1, budget)]);
+            taken++;
+        }
+    }
+    else {
+        preview.props = {};
+        for (const key of keys) {
+            if (!hasRoom())
+                break;
+            let child;
+            try {
+                child = isRedactedKey(key) ? { type: 'redacted' } : previewNode(v[key], depth + 1, budget);
             }
-            if (value && typeof value === 'object') {
-                if (seen.has(value))
-                    return '[Circular]';
-                seen.add(value);
+            catch {
+                // Throwing getters
+                child = { type: 'unserializable' };
             }
-            return value;
+            preview.props[key] = child;
+            taken++;
+        }
+    }
+    budget.ancestors.delete(v);
+    if (taken < size)
+        preview.truncated = true;
+    return preview;
+}
+function previewBytes(type, className, bytes, maxItems) {
+    const count = Math.min(bytes.length, maxItems);
+    const items = [];
+    for (let i = 0; i < count; i++)
+        items.push({ type: 'number', value: Number(bytes[i]) });
+    const preview = { type, className, size: bytes.length, items };
+    if (count < bytes.length)
+        preview.truncated = true;
+    return preview;
+}
+// Human-readable form stored in function.args.N / function.return.value. Top-level strings are
+// kept verbatim so existing consumers see the same values as before.
+function renderPreview(p, nested = false) {
+    const more = (shown) => p.truncated ? (p.size !== undefined && p.size > shown ? `... ${p.size - shown} more` : '...') : '';
+    const list = (parts, shown) => {
+        const tail = more(shown);
+        return (tail ? [...parts, tail] : parts).join(', ');
+    };
+    switch (p.type) {
+        case 'undefined': return nested ? 'undefined' : '';
+        case 'null': return 'null';
+        case 'string': {
+            const s = p.truncated ? `${p.value}...` : String(p.value);
+            // Objects previewed through toJSON keep their class, e.g. URL("https://...")
+            if (p.className)
+                return `${p.className}(${JSON.stringify(s)})`;
+            return nested ? JSON.stringify(s) : s;
+        }
+        case 'number':
+        case 'boolean':
+        case 'symbol':
+        case 'regexp': return String(p.value);
+        case 'bigint': return `${p.value}n`;
+        case 'function': return `[Function ${p.value}]`;
+        case 'date': return `Date(${p.value})`;
+        case 'promise': return p.className || 'Promise';
+        case 'circular': return '[Circular]';
+        case 'redacted': return redactionRules.marker;
+        case 'unserializable': return '[unserializable]';
+        case 'buffer':
+        case 'typedarray': {
+            const items = p.items || [];
+            return `${p.className || 'Buffer'}(${p.size}) [${list(items.map(i => String(i.value)), items.length)}]`;
+        }
+        case 'array': {
+            const items = p.items || [];
+            if (!p.items && p.truncated)
+                return `${p.className || 'Array'}(${p.size})`;
+            return `${p.className ? p.className + ' ' : ''}[${list(items.map(i => renderPreview(i, true)), items.length)}]`;
+        }
+        case 'map':
+        case 'set': {
+            const label = `${p.className || (p.type === 'map' ? 'Map' : 'Set')}(${p.size})`;
+            const parts = p.type === 'map'
+                ? (p.entries || []).map(([k, v]) => `${renderPreview(k, true)} => ${renderPreview(v, true)}`)
+                : (p.items || []).map(i => renderPreview(i, true));
+            const body = list(parts, parts.length);
+            return body ? `${label} { ${body} }` : label;
+        }
+        case 'object':
+        case 'error': {
+            const props = Object.entries(p.props || {});
+            const parts = props.map(([k, v]) => `${/^[A-Za-z_$][\w$]*$/.test(k) ? k : JSON.stringify(k)}: ${renderPreview(v, true)}`);
+            const body = list(parts, props.length);
+            const head = p.type === 'error' ? String(p.value) : p.className || '';
+            if (!body)
+                return head || '{}';
+            return `${head ? head + ' ' : ''}{ ${body} }`;
+        }
+    }
+}
+// Record an argument (by index) or the return value of spanName under `key`, honouring the
+// per-function masks. Containers additionally get the structured form under `<key>.preview`.
+function recordValue(span, key, spanName, slot, v) {
+    const preview = argMasksFor(spanName)?.has(slot) ? { type: 'redacted' } : previewValue(v);
+    recordPreview(span, key, preview);
+    return preview;
+}
+function recordPreview(span, key, preview) {
+    let rendered = renderPreview(preview);
+    if (rendered.length > MAX_VALUE_LENGTH)
+        rendered = rendered.slice(0, MAX_VALUE_LENGTH) + '...';
+    span.setAttribute(key, rendered);
+    if (STRUCTURED_PREVIEW_TYPES.has(preview.type)) {
+        span.setAttribute(`${key}.preview`, JSON.stringify(preview));
+    }
+}
+// probe-wrapper.ts records the arguments and return values of the functions it wraps through this when
+// the probe is loaded, so there is one serializer for both
+globalThis[Symbol.for('syncause.values')] = { maxArgs: MAX_ARGS, record: recordValue, redact: redactString };
+// ===== Receiver state =====
+// With captureThis, class member spans record the instance they ran on: its own fields at entry
+// and at exit, the names of the fields that changed and a before/after diff of them. Both sides
+// are bounded previews, so a change deeper than previewMaxDepth or past previewMaxItems is not seen.
+const THIS_STATE_TYPES = new Set(['class_method', 'getter', 'setter']);
+function shouldCaptureThis(type, self) {
+    return CAPTURE_THIS && THIS_STATE_TYPES.has(type) && typeof self === 'object' && self !== null && self !== globalThis;
+}
+function recordThisExit(span, entry, self) {
+    const exit = previewValue(self);
+    recordPreview(span, 'function.this.exit', exit);
+    const before = entry.props || {};
+    const after = exit.props || {};
+    const diff = {};
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (key in before && key in after && JSON.stringify(before[key]) === JSON.stringify(after[key]))
+            continue;
+        diff[key] = {};
+        if (key in before)
+            diff[key].before = renderPreview(before[key], true);
+        if (key in after)
+            diff[key].after = renderPreview(after[key], true);
+    }
+    const changed = Object.keys(diff);
+    span.setAttribute('function.this.changed', changed);
+    if (changed.length > 0)
+        span.setAttribute('function.this.diff', JSON.stringify(diff));
+}
+// ===== Argument mutations =====
+// With detectArgMutations, container arguments previewed at entry are previewed again when the
+// call settles and the two previews are compared. Paths are the argument index followed by keys,
+// indexes or rendered Map keys, e.g. "0.items.2" or "1.user.name". Like the previews themselves,
+// the comparison stops at previewMaxDepth / previewMaxItems: a container whose size changed past
+// that point is reported as changed as a whole.
+const ARG_DIFF_MAX_CHANGES = 50;
+function previewChildren(p) {
+    if (p.props)
+        return new Map(Object.entries(p.props));
+    if (p.entries)
+        return new Map(p.entries.map(([k, v]) => [k.type === 'string' ? String(k.value) : renderPreview(k, true), v]));
+    return new Map((p.items || []).map((item, i) => [String(i), item]));
+}
+function diffPreviews(before, after, path, changes) {
+    if (changes.length >= ARG_DIFF_MAX_CHANGES)
+        return;
+    const changed = () => changes.push({ path, change: 'changed', before: renderPreview(before, true), after: renderPreview(after, true) });
+    if (before.type !== after.type || before.className !== after.className) {
+        changed();
+        return;
+    }
+    if (!STRUCTURED_PREVIEW_TYPES.has(before.type)) {
+        if (JSON.stringify(before) !== JSON.stringify(after))
+            changed();
+        return;
+    }
+    const found = changes.length;
+    const beforeChildren = previewChildren(before);
+    const afterChildren = previewChildren(after);
+    for (const [key, child] of beforeChildren) {
+        if (changes.length >= ARG_DIFF_MAX_CHANGES)
+            return;
+        const childPath = `${path}.${key}`;
+        const next = afterChildren.get(key);
+        if (next)
+            diffPreviews(child, next, childPath, changes);
+        // A truncated preview may simply not have reached this child
+        else if (!after.truncated)
+            changes.push({ path: childPath, change: 'removed', before: renderPreview(child, true) });
+    }
+    for (const [key, child] of afterChildren) {
+        if (changes.length >= ARG_DIFF_MAX_CHANGES)
+            return;
+        if (!beforeChildren.has(key) && !before.truncated) {
+            changes.push({ path: `${path}.${key}`, change: 'added', after: renderPreview(child, true) });
+        }
+    }
+    if (changes.length === found && (before.size !== after.size || before.value !== after.value))
+        changed();
+}
+// entries holds the entry-time previews by argument index (containers only)
+function recordArgMutations(span, args, entries) {
+    const changes = [];
+    for (const [i, entry] of entries)
+        diffPreviews(entry, previewValue(args[i]), String(i), changes);
+    span.setAttribute('function.args.mutated', changes.length > 0);
+    if (changes.length > 0) {
+        span.setAttribute('function.args.diff', JSON.stringify(changes));
+        if (changes.length >= ARG_DIFF_MAX_CHANGES)
+            span.setAttribute('function.args.diff.truncated', true);
+    }
+}
+const SOURCE_MAP_CACHE_MAX_SIZE = 200;
+// The wrappers and the context manager (AsyncLocalStorage) they run user code in
+const PROBE_FRAME_FILE = /(?:^|[\/\\])(?:instrumentation(?:\.node)?(?:\.next)?\.[cm]?[jt]s|probe-wrapper\.[cm]?[jt]s|@opentelemetry[\/\\](?:api|context-async-hooks)[\/\\].*)$|^node:async_hooks$/;
+const STACK_FRAME = /^(\s*at (?:async )?)(?:(.*?) \()?(.+?):(\d+):(\d+)\)?$/;
+// File -> parsed map, or null when the file has none
+const sourceMapCache = new Map();
+// The same error is recorded on every span it propagates through
+const resolvedExceptions = new WeakMap();
+function readSourceMap(file) {
+    const filepath = file.startsWith('file://') ? (0, url_1.fileURLToPath)(file) : file;
+    if (!path.isAbsolute(filepath) || !fs.existsSync(filepath))
+        return null;
+    let raw;
+    let dir = path.dirname(filepath);
+    const url = /\/\/[#@] sourceMappingURL=([^\s'"]+)\s*$/.exec(fs.readFileSync(filepath, 'utf8'))?.[1];
+    if (url?.startsWith('data:')) {
+        const comma = url.indexOf(',');
+        const data = url.slice(comma + 1);
+        raw = /;base64$/.test(url.slice(0, comma)) ? Buffer.from(data, 'base64').toString('utf8') : decodeURIComponent(data);
+    }
+    else {
+        // Hidden source maps (e.g. Next.js server builds) sit next to the file without a comment
+        const mapPath = url ? path.resolve(dir, url) : `${filepath}.map`;
+        if (!fs.existsSync(mapPath))
+            return null;
+        raw = fs.readFileSync(mapPath, 'utf8');
+        dir = path.dirname(mapPath);
+    }
+    const payload = JSON.parse(raw);
+    return { map: new Module.SourceMap(payload), dir, sourceRoot: payload.sourceRoot || '' };
+}
+function loadSourceMap(file) {
+    let loaded = sourceMapCache.get(file);
+    if (loaded !== undefined)
+        return loaded;
+    try {
+        loaded = readSourceMap(file);
+    }
+    catch (e) {
+        debugLog.log(`[DEBUG] Failed to load source map for ${file}:`, e);
+        loaded = null;
+    }
+    if (sourceMapCache.size >= SOURCE_MAP_CACHE_MAX_SIZE)
+        sourceMapCache.delete(sourceMapCache.keys().next().value);
+    sourceMapCache.set(file, loaded);
+    return loaded;
+}
+function originalSourcePath(source, loaded) {
+    // webpack://<app name>/./app/lib/foo.ts is relative to the project root
+    const webpack = /^webpack:\/\/[^/]*\/(?:\.\/)?(.*)$/.exec(source);
+    if (webpack)
+        return path.resolve(process.cwd(), webpack[1]);
+    if (source.startsWith('file://'))
+        return (0, url_1.fileURLToPath)(source);
+    return path.resolve(loaded.dir, loaded.sourceRoot, source);
+}
+function mapStackFrame(frame) {
+    const loaded = loadSourceMap(frame.file);
+    if (!loaded)
+        return frame;
+    const entry = loaded.map.findEntry(frame.line - 1, frame.column - 1);
+    if (entry.originalSource === undefined || entry.originalLine === undefined || entry.originalColumn === undefined)
+        return frame;
+    return { fn: frame.fn, file: originalSourcePath(entry.originalSource, loaded), line: entry.originalLine + 1, column: entry.originalColumn + 1 };
+}
+function resolveException(err) {
+    const cached = resolvedExceptions.get(err);
+    if (cached)
+        return cached;
+    const frames = [];
+    const lines = [];
+    for (const line of err.stack.split('\n')) {
+        const m = STACK_FRAME.exec(line);
+        if (!m) {
+            lines.push(line);
+            continue;
+        }
+        const frame = mapStackFrame({ fn: m[2]?.replace(/\b_unwrapped_/, ''), file: m[3], line: Number(m[4]), column: Number(m[5]) });
+        if (PROBE_FRAME_FILE.test(frame.file))
+            continue;
+        frames.push(frame);
+        const where = `${frame.file}:${frame.line}:${frame.column}`;
+        lines.push(`${m[1]}${frame.fn ? `${frame.fn} (${where})` : where}`);
+    }
+    const resolved = { stack: lines.join('\n'), frames };
+    resolvedExceptions.set(err, resolved);
+    return resolved;
+}
+// Project files relative to the working directory, like code.filepath
+function displayFilePath(file) {
+    const filepath = file.startsWith('file://') ? (0, url_1.fileURLToPath)(file) : file;
+    const relative = path.relative(process.cwd(), filepath);
+    return path.isAbsolute(filepath) && !relative.startsWith('..') ? relative.replace(/\\/g, '/') : filepath;
+}
+// Messages and stacks often echo their input (a token in a URL, the password in a failed query), so the
+// redaction rules apply to them as they do to recorded values
+function redactException(err, stack) {
+    if (typeof err === 'string')
+        return redactString(err);
+    if (!err || typeof err !== 'object')
+        return err;
+    stack = stack ?? err.stack;
+    return {
+        code: err.code,
+        name: err.name,
+        message: typeof err.message === 'string' ? redactString(err.message) : err.message,
+        stack: typeof stack === 'string' ? redactString(stack) : stack,
+    };
+}
+// Status message of a span that ended with err
+function errorStatusMessage(err) {
+    return redactString(String(err?.message || err));
+}
+function recordSpanException(span, err) {
+    let resolved;
+    if (err && typeof err === 'object' && typeof err.stack === 'string') {
+        try {
+            resolved = resolveException(err);
+        }
+        catch (e) {
+            debugLog.log('[DEBUG] Failed to resolve exception stack:', e);
+        }
+    }
+    errorGroups.record(span, err, resolved?.frames || []);
+    span.recordException(redactException(err, resolved?.stack));
+    if (!resolved)
+        return;
+    const site = resolved.frames[0];
+    if (site) {
+        span.setAttribute('exception.filepath', displayFilePath(site.file));
+        span.setAttribute('exception.lineno', site.line);
+        span.setAttribute('exception.column', site.column);
+        if (site.fn)
+            span.setAttribute('exception.function', site.fn);
+    }
+}
+// ===== Error groups =====
+// Exceptions recorded on function spans are grouped by fingerprint: error type, the message with
+// ids and numbers normalized away, and the top in-app frames. Each distinct error is counted once,
+// not once per span it propagates through.
+const ERROR_GROUPS_MAX = 500; // Least recently seen groups are dropped beyond this
+const ERROR_GROUP_MAX_SAMPLES = 10; // Most recent traceIds kept per group
+const ERROR_FINGERPRINT_FRAMES = 3;
+const ERROR_MESSAGE_MAX_LENGTH = 500;
+function normalizeErrorMessage(message) {
+    return message
+        .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>')
+        .replace(/\b(?:0x)?[0-9a-f]*\d[0-9a-f]*\b/gi, m => m.length >= 8 || m.startsWith('0x') ? '<hex>' : m)
+        .replace(/"[^"]*"|'[^']*'|`[^`]*`/g, '<str>')
+        .replace(/\d+(?:\.\d+)?/g, '<n>')
+        .slice(0, ERROR_MESSAGE_MAX_LENGTH);
+}
+function isInAppFrame(frame) {
+    return !/^node:|^internal[\/\\]|[\/\\]node_modules[\/\\]/.test(frame.file);
+}
+class ErrorGroupRegistry {
+    constructor() {
+        // Insertion order is kept as recency order, so the first entry is the one to evict
+        this.groups = new Map();
+        this.counted = new WeakSet();
+    }
+    record(span, err, frames) {
+        const isObject = !!err && (typeof err === 'object' || typeof err === 'function');
+        if (isObject && this.counted.has(err))
+            return;
+        const type = isObject ? String(err.name || err.constructor?.name || 'Error') : typeof err;
+        const rawMessage = isObject ? String(err.message ?? '') : String(err);
+        const message = normalizeErrorMessage(redactString(rawMessage));
+        const topFrames = frames.filter(isInAppFrame).slice(0, ERROR_FINGERPRINT_FRAMES)
+            .map(f => `${displayFilePath(f.file)}:${f.fn || f.line}`);
+        const fingerprint = (0, crypto_1.createHash)('sha1').update(`${type}\n${message}\n${topFrames.join('\n')}`).digest('hex').slice(0, 16);
+        const traceId = span.spanContext().traceId;
+        if (isObject) {
+            this.counted.add(err);
+        }
+        else {
+            if (this.lastPrimitive?.traceId === traceId && this.lastPrimitive.fingerprint === fingerprint)
+                return;
+            this.lastPrimitive = { traceId, fingerprint };
+        }
+        span.setAttribute('exception.fingerprint', fingerprint);
+        const now = Date.now();
+        let group = this.groups.get(fingerprint);
+        if (group) {
+            this.groups.delete(fingerprint);
+        }
+        else {
+            group = { fingerprint, type, message, sampleMessage: '', frames: topFrames, count: 0, firstSeen: now, lastSeen: now, traceIds: [] };
+            if (this.groups.size >= ERROR_GROUPS_MAX)
+                this.groups.delete(this.groups.keys().next().value);
+        }
+        this.groups.set(fingerprint, group);
+        group.count++;
+        group.lastSeen = now;
+        group.sampleMessage = redactString(rawMessage.slice(0, ERROR_MESSAGE_MAX_LENGTH));
+        if (!group.traceIds.includes(traceId)) {
+            group.traceIds.push(traceId);
+            if (group.traceIds.length > ERROR_GROUP_MAX_SAMPLES)
+                group.traceIds.shift();
+        }
+    }
+    // Groups seen in the last windowMinutes (all when omitted), most recently seen first
+    list(windowMinutes, limit) {
+        const since = windowMinutes !== undefined ? Date.now() - windowMinutes * 60 * 1000 : 0;
+        const groups = Array.from(this.groups.values()).reverse().filter(g => g.lastSeen >= since);
+        return (limit !== undefined ? groups.slice(0, limit) : groups).map(g => ({
+            ...g,
+            firstSeen: new Date(g.firstSeen).toISOString(),
+            lastSeen: new Date(g.lastSeen).toISOString(),
+            traceIds: g.traceIds.slice().reverse(),
+        }));
+    }
+}
+const errorGroups = new ErrorGroupRegistry();
+// probe-wrapper.ts records its exceptions through this when the probe is loaded
+globalThis[Symbol.for('syncause.recordException')] = recordSpanException;
+function isGeneratorObject(x) {
+    const tag = Object.prototype.toString.call(x);
+    return (tag === '[object Generator]' || tag === '[object AsyncGenerator]') && typeof x.next === 'function';
+}
+// Generator functions return before any of their body runs, so their span is kept open while
+// the caller iterates: each next()/return()/throw() runs inside the span's context, yields are
+// counted, and the span ends when the generator completes, is closed early or throws.
+// A generator that is abandoned half-way leaves its span open.
+function traceGenerator(gen, span, ctx, spanName, captureValues, onEnd) {
+    const isAsync = Object.prototype.toString.call(gen) === '[object AsyncGenerator]';
+    let yields = 0;
+    let ended = false;
+    span.setAttribute('function.generator', isAsync ? 'async_generator' : 'generator');
+    const finish = (state, value, err) => {
+        if (ended)
+            return;
+        ended = true;
+        span.setAttribute('function.generator.yields', yields);
+        span.setAttribute('function.generator.state', state);
+        if (state === 'error') {
+            recordSpanException(span, err);
+            span.setStatus({ code: api_1.SpanStatusCode.ERROR, message: errorStatusMessage(err) });
+        }
+        else {
+            if (captureValues)
+                recordValue(span, 'function.return.value', spanName, 'return', value);
+            span.setStatus({ code: api_1.SpanStatusCode.OK });
+        }
+        span.end();
+        onEnd();
+    };
+    const settle = (method, result) => {
+        if (ended)
+            return result;
+        // return() completes the generator unless a finally block yields again
+        if (result.done)
+            finish(method === 'return' ? 'returned' : 'completed', result.value);
+        else
+            yields++;
+        return result;
+    };
+    const step = (method, arg) => {
+        let result;
+        try {
+            result = api_1.context.with(ctx, () => gen[method](arg));
+        }
+        catch (err) {
+            finish('error', undefined, err);
+            throw err;
+        }
+        if (!isAsync)
+            return settle(method, result);
+        return result.then((r) => settle(method, r), (err) => {
+            finish('error', undefined, err);
+            throw err;
+        });
+    };
+    // Keep the generator's prototype so instanceof checks and Symbol.iterator keep working
+    const traced = Object.create(Object.getPrototypeOf(gen));
+    traced.next = (arg) => step('next', arg);
+    traced.return = (value) => step('return', value);
+    traced.throw = (err) => step('throw', err);
+    return traced;
+}
+const TRACING_MODES = ['off', 'timing', 'full'];
+const TRACING_REGISTRY_KEY = Symbol.for('syncause.tracing');
+const tracingRegistry = globalThis[TRACING_REGISTRY_KEY] ||
+    (globalThis[TRACING_REGISTRY_KEY] = { functions: new Map(), rules: [], collisions: new Set() });
+// "*" matches any run of characters, everything else is literal
+function globToRegExp(glob) {
+    return new RegExp('^' + glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+}
+function resolveTracingMode(name) {
+    let mode = 'full';
+    for (const rule of tracingRegistry.rules) {
+        if (rule.regex.test(name))
+            mode = rule.mode;
+    }
+    return mode;
+}
+// "src/lib/a.ts:12:4" as passed by probe-loader.js and babel-plugin-probe.js
+function parseSourceLocation(location) {
+    const m = location ? /^(.+?)(?::(\d+))?(?::(\d+))?$/.exec(location) : null;
+    if (!m)
+        return undefined;
+    return { filepath: m[1], lineno: m[2] ? Number(m[2]) : undefined, column: m[3] ? Number(m[3]) : undefined };
+}
+function registerTracedFunction(name, type, location) {
+    const { functions, collisions } = tracingRegistry;
+    const loc = parseSourceLocation(location);
+    let key = loc && collisions.has(name) ? `${loc.filepath}#${name}` : name;
+    const existing = functions.get(key);
+    if (existing && loc && existing.filepath && existing.filepath !== loc.filepath) {
+        // Same name from another module: from now on each is registered under its module path.
+        // Spans recorded before keep the bare name.
+        collisions.add(name);
+        functions.delete(name);
+        existing.name = `${existing.filepath}#${name}`;
+        existing.mode = resolveTracingMode(existing.name);
+        functions.set(existing.name, existing);
+        key = `${loc.filepath}#${name}`;
+    }
+    let traced = functions.get(key);
+    if (!traced) {
+        traced = { name: key, functionName: name, type, mode: resolveTracingMode(key), wrappers: 0, calls: 0, ...loc };
+        functions.set(key, traced);
+    }
+    traced.wrappers++;
+    return traced;
+}
+function parseTracingMode(value) {
+    const mode = String(value);
+    if (!TRACING_MODES.includes(mode)) {
+        throw new Error(`Invalid mode: ${mode} (expected ${TRACING_MODES.join(', ')})`);
+    }
+    return mode;
+}
+function listTracedFunctions(pattern, mode) {
+    const regex = pattern ? globToRegExp(pattern) : null;
+    return Array.from(tracingRegistry.functions.values())
+        .filter(f => (!regex || regex.test(f.name)) && (!mode || f.mode === mode))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(f => ({ ...f }));
+}
+// Switch every function matching the glob (already wrapped or wrapped later); returns the names
+// matched so far. Setting the same pattern again replaces its earlier rule.
+function setTracingMode(pattern, mode) {
+    const regex = globToRegExp(pattern);
+    tracingRegistry.rules = tracingRegistry.rules.filter(r => r.pattern !== pattern);
+    tracingRegistry.rules.push({ pattern, regex, mode });
+    const matched = [];
+    for (const traced of tracingRegistry.functions.values()) {
+        traced.mode = resolveTracingMode(traced.name);
+        if (regex.test(traced.name))
+            matched.push(traced.name);
+    }
+    debugLog.log(`[DEBUG] Tracing mode ${mode} for ${pattern}: ${matched.length} functions`);
+    return matched.sort();
+}
+// Drop all rules, back to full tracing everywhere
+function resetTracingModes() {
+    tracingRegistry.rules = [];
+    for (const traced of tracingRegistry.functions.values())
+        traced.mode = 'full';
+}
+function tracingRules() {
+    return tracingRegistry.rules.map(({ pattern, mode }) => ({ pattern, mode }));
+}
+// ===== Logpoints =====
+// Debugger-style probes set at runtime on wrapped functions: a call whose name matches the
+// logpoint's glob and whose arguments satisfy its condition is captured as a snapshot, with
+// deeper previews than span attributes and optionally `this`, and an optional message is added
+// to the call's span. A logpoint stops capturing after maxHits snapshots or when it expires.
+const LOGPOINT_MAX_ACTIVE = 50;
+const LOGPOINT_MAX_SNAPSHOTS = 1000; // Across all logpoints; oldest are dropped beyond this
+const LOGPOINT_MAX_HITS = 1000;
+const LOGPOINT_DEFAULT_EXPIRY_S = 3600;
+const LOGPOINT_MAX_EXPIRY_S = 86400;
+const LOGPOINT_DEFAULT_DEPTH = 8;
+const LOGPOINT_MAX_DEPTH = 20;
+const LOGPOINT_PREVIEW_MAX_ITEMS = 100;
+const LOGPOINT_PREVIEW_MAX_NODES = 5000;
+const LOGPOINT_TOKEN = /\s*(?:(\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([A-Za-z_$][\w$]*)|(===|!==|==|!=|<=|>=|&&|\|\||[<>!()[\].-]))/y;
+const LOGPOINT_LITERALS = { true: true, false: false, null: null, undefined: undefined };
+const LOGPOINT_COMPARISONS = ['===', '!==', '==', '!=', '<', '<=', '>', '>='];
+function parseLogpointExpr(source) {
+    const tokens = [];
+    LOGPOINT_TOKEN.lastIndex = 0;
+    while (LOGPOINT_TOKEN.lastIndex < source.length) {
+        const pos = LOGPOINT_TOKEN.lastIndex;
+        const m = LOGPOINT_TOKEN.exec(source);
+        if (!m) {
+            if (!source.slice(pos).trim())
+                break;
+            throw new InvalidParamError(`Unexpected character at ${pos + source.slice(pos).search(/\S/)} in ${JSON.stringify(source)}`);
+        }
+        const type = m[1] ? 'number' : m[2] ? 'string' : m[3] ? 'ident' : 'op';
+        const text = m[1] || m[2] || m[3] || m[4];
+        // Position of the token itself, past the whitespace the match skipped
+        tokens.push({ type, text, pos: LOGPOINT_TOKEN.lastIndex - text.length });
+    }
+    let i = 0;
+    const fail = (what) => {
+        const at = tokens[i] ? `"${tokens[i].text}" at ${tokens[i].pos}` : 'end of expression';
+        throw new InvalidParamError(`Expected ${what} but found ${at} in ${JSON.stringify(source)}`);
+    };
+    const accept = (text) => tokens[i]?.type === 'op' && tokens[i].text === text ? (i++, true) : false;
+    const expect = (text) => accept(text) || fail(`"${text}"`);
+    const parseOr = () => {
+        let left = parseAnd();
+        while (accept('||'))
+            left = { kind: 'binary', op: '||', left, right: parseAnd() };
+        return left;
+    };
+    const parseAnd = () => {
+        let left = parseComparison();
+        while (accept('&&'))
+            left = { kind: 'binary', op: '&&', left, right: parseComparison() };
+        return left;
+    };
+    const parseComparison = () => {
+        const left = parseUnary();
+        const op = tokens[i]?.type === 'op' && LOGPOINT_COMPARISONS.includes(tokens[i].text) ? tokens[i++].text : null;
+        return op ? { kind: 'binary', op, left, right: parseUnary() } : left;
+    };
+    const parseUnary = () => {
+        if (accept('!'))
+            return { kind: 'unary', op: '!', operand: parseUnary() };
+        if (accept('-'))
+            return { kind: 'unary', op: '-', operand: parseUnary() };
+        let expr = parsePrimary();
+        for (;;) {
+            if (accept('.')) {
+                const name = tokens[i]?.type === 'ident' ? tokens[i++].text : fail('a property name');
+                expr = { kind: 'member', object: expr, property: { kind: 'literal', value: name } };
+            }
+            else if (accept('[')) {
+                const property = parseOr();
+                expect(']');
+                expr = { kind: 'member', object: expr, property };
+            }
+            else {
+                return expr;
+            }
+        }
+    };
+    const parsePrimary = () => {
+        const token = tokens[i];
+        if (!token)
+            return fail('a value');
+        if (accept('(')) {
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+        i++;
+        if (token.type === 'number')
+            return { kind: 'literal', value: Number(token.text) };
+        if (token.type === 'string') {
+            const body = token.text.slice(1, -1);
+            // Single-quoted strings are re-quoted so JSON.parse handles the escapes of both kinds
+            const json = token.text[0] === '"' ? token.text : `"${body.replace(/\\'/g, "'").replace(/"/g, '\\"')}"`;
+            return { kind: 'literal', value: JSON.parse(json) };
+        }
+        if (token.type === 'ident') {
+            if (token.text in LOGPOINT_LITERALS)
+                return { kind: 'literal', value: LOGPOINT_LITERALS[token.text] };
+            if (token.text === 'this' || token.text === 'args' || /^arg\d+$/.test(token.text))
+                return { kind: 'ident', name: token.text };
+            throw new InvalidParamError(`Unknown name "${token.text}" at ${token.pos} (use args, arg0..argN or this)`);
+        }
+        i--;
+        return fail('a value');
+    };
+    const expr = parseOr();
+    if (i < tokens.length)
+        fail('end of expression');
+    return expr;
+}
+const LOGPOINT_BLOCKED_PROPERTIES = new Set(['__proto__', 'constructor', 'prototype']);
+// Property read without side effects: data properties only (own or inherited), plus the
+// length of strings and arrays and the size and entries of Maps and Sets
+function readLogpointProperty(obj, key) {
+    if (obj === null || obj === undefined)
+        return undefined;
+    if (typeof key !== 'string' && typeof key !== 'number')
+        return undefined;
+    const name = String(key);
+    if (LOGPOINT_BLOCKED_PROPERTIES.has(name))
+        return undefined;
+    if (typeof obj === 'string')
+        return name === 'length' ? obj.length : /^\d+$/.test(name) ? obj[Number(name)] : undefined;
+    if (typeof obj !== 'object' && typeof obj !== 'function')
+        return undefined;
+    if (obj instanceof Map || obj instanceof Set) {
+        if (name === 'size')
+            return obj.size;
+        if (obj instanceof Map)
+            return Map.prototype.get.call(obj, key);
+        return undefined;
+    }
+    for (let o = obj; o && o !== Object.prototype; o = Object.getPrototypeOf(o)) {
+        const desc = Object.getOwnPropertyDescriptor(o, name);
+        if (desc)
+            return 'value' in desc ? desc.value : undefined;
+    }
+    return undefined;
+}
+function evaluateLogpointExpr(expr, args, self) {
+    switch (expr.kind) {
+        case 'literal': return expr.value;
+        case 'ident':
+            if (expr.name === 'this')
+                return self;
+            if (expr.name === 'args')
+                return args;
+            return args[Number(expr.name.slice(3))];
+        case 'member':
+            return readLogpointProperty(evaluateLogpointExpr(expr.object, args, self), evaluateLogpointExpr(expr.property, args, self));
+        case 'unary': {
+            const v = evaluateLogpointExpr(expr.operand, args, self);
+            return expr.op === '!' ? !v : typeof v === 'number' ? -v : NaN;
+        }
+        case 'binary': {
+            const left = evaluateLogpointExpr(expr.left, args, self);
+            if (expr.op === '&&')
+                return left && evaluateLogpointExpr(expr.right, args, self);
+            if (expr.op === '||')
+                return left || evaluateLogpointExpr(expr.right, args, self);
+            const right = evaluateLogpointExpr(expr.right, args, self);
+            const equal = left === right || (left == null && right == null);
+            switch (expr.op) {
+                case '==':
+                case '===': return equal;
+                case '!=':
+                case '!==': return !equal;
+            }
+            const comparable = (typeof left === 'number' && typeof right === 'number') ||
+                (typeof left === 'string' && typeof right === 'string');
+            if (!comparable)
+                return false;
+            switch (expr.op) {
+                case '<': return left < right;
+                case '<=': return left <= right;
+                case '>': return left > right;
+                case '>=': return left >= right;
+            }
+            return false;
+        }
+    }
+}
+// "charged {arg0.amount} for {this.customerId}" -> literal text and placeholder expressions
+function parseLogpointMessage(message) {
+    return message.split(/\{([^{}]*)\}/).map((part, index) => index % 2 === 1 ? parseLogpointExpr(part) : part);
+}
+class LogpointRegistry {
+    constructor() {
+        this.logpoints = new Map();
+        // Checked on every traced call, so kept as a plain array of the logpoints still capturing
+        this.active = [];
+        this.snapshots = [];
+        this.nextId = 1;
+        this.nextSnapshotId = 1;
+    }
+    set(params) {
+        if (!params.name)
+            throw new InvalidParamError('name is required (a function name or glob such as "OrderService.*")');
+        const count = (key, fallback, max) => {
+            if (params[key] === undefined || params[key] === '')
+                return fallback;
+            const n = Number(params[key]);
+            if (!Number.isInteger(n) || n < 1 || n > max)
+                throw new InvalidParamError(`${key} must be an integer between 1 and ${max} (got ${params[key]})`);
+            return n;
+        };
+        const name = String(params.name);
+        const condition = params.condition ? String(params.condition) : undefined;
+        const message = params.message ? String(params.message) : undefined;
+        const now = Date.now();
+        const logpoint = {
+            id: `lp-${this.nextId}`,
+            name,
+            regex: globToRegExp(name),
+            condition,
+            conditionExpr: condition ? parseLogpointExpr(condition) : undefined,
+            message,
+            messageParts: message ? parseLogpointMessage(message) : undefined,
+            maxHits: count('maxHits', 1, LOGPOINT_MAX_HITS),
+            hits: 0,
+            depth: count('depth', LOGPOINT_DEFAULT_DEPTH, LOGPOINT_MAX_DEPTH),
+            captureThis: params.captureThis === undefined || params.captureThis === true || params.captureThis === 'true',
+            createdAt: now,
+            expiresAt: now + count('expiresIn', LOGPOINT_DEFAULT_EXPIRY_S, LOGPOINT_MAX_EXPIRY_S) * 1000,
+            conditionErrors: 0,
+        };
+        this.refresh();
+        if (this.active.length >= LOGPOINT_MAX_ACTIVE) {
+            throw new Error(`Too many active logpoints (max ${LOGPOINT_MAX_ACTIVE})`);
+        }
+        this.nextId++;
+        this.logpoints.set(logpoint.id, logpoint);
+        this.active.push(logpoint);
+        debugLog.log(`[DEBUG] Logpoint ${logpoint.id} set on ${name}${condition ? ` when ${condition}` : ''}`);
+        return logpoint;
+    }
+    // Also drops the logpoint's snapshots
+    remove(id) {
+        const removed = this.logpoints.delete(id);
+        if (removed) {
+            this.active = this.active.filter(lp => lp.id !== id);
+            this.snapshots = this.snapshots.filter(s => s.logpointId !== id);
+        }
+        return removed;
+    }
+    list() {
+        this.refresh();
+        return Array.from(this.logpoints.values()).map(lp => this.describe(lp));
+    }
+    getSnapshots(logpointId, limit) {
+        const matching = logpointId ? this.snapshots.filter(s => s.logpointId === logpointId) : this.snapshots;
+        // Newest first
+        const newest = matching.slice().reverse();
+        return typeof limit === 'number' ? newest.slice(0, limit) : newest;
+    }
+    describe(lp) {
+        const { regex, conditionExpr, messageParts, ...rest } = lp;
+        return {
+            ...rest,
+            status: this.status(lp),
+            createdAt: new Date(lp.createdAt).toISOString(),
+            expiresAt: new Date(lp.expiresAt).toISOString(),
+            snapshots: this.snapshots.filter(s => s.logpointId === lp.id).length,
+        };
+    }
+    // Called for every traced call while any logpoint is active; span is absent when the
+    // function's tracing mode is off
+    check(functionName, self, args, span) {
+        if (this.active.length === 0)
+            return;
+        const now = Date.now();
+        let changed = false;
+        for (const lp of this.active) {
+            if (now >= lp.expiresAt) {
+                changed = true;
+                continue;
+            }
+            if (!lp.regex.test(functionName))
+                continue;
+            try {
+                if (lp.conditionExpr && !evaluateLogpointExpr(lp.conditionExpr, args, self))
+                    continue;
+            }
+            catch (error) {
+                lp.conditionErrors++;
+                lp.lastConditionError = error?.message || String(error);
+                continue;
+            }
+            lp.hits++;
+            if (lp.hits >= lp.maxHits)
+                changed = true;
+            this.capture(lp, functionName, self, args, span);
+        }
+        if (changed)
+            this.refresh();
+    }
+    capture(lp, functionName, self, args, span) {
+        const spanContext = (span || api_1.trace.getSpan(api_1.context.active()))?.spanContext();
+        const masks = argMasksFor(functionName);
+        const preview = (v) => previewValue(v, lp.depth, LOGPOINT_PREVIEW_MAX_ITEMS, LOGPOINT_PREVIEW_MAX_NODES);
+        const snapshot = {
+            id: `snap-${this.nextSnapshotId++}`,
+            logpointId: lp.id,
+            functionName,
+            timestamp: new Date().toISOString(),
+            traceId: spanContext?.traceId,
+            spanId: span ? spanContext?.spanId : undefined,
+            args: args.slice(0, MAX_ARGS).map((arg, i) => masks?.has(i) ? { type: 'redacted' } : preview(arg)),
+        };
+        if (lp.captureThis && self !== undefined && self !== null && self !== globalThis)
+            snapshot.this = preview(self);
+        if (lp.messageParts) {
+            snapshot.message = lp.messageParts.map(part => {
+                if (typeof part === 'string')
+                    return part;
+                try {
+                    return renderPreview(previewValue(evaluateLogpointExpr(part, args, self)));
+                }
+                catch {
+                    return '[error]';
+                }
+            }).join('');
+        }
+        this.snapshots.push(snapshot);
+        if (this.snapshots.length > LOGPOINT_MAX_SNAPSHOTS)
+            this.snapshots.shift();
+        span?.addEvent('logpoint', {
+            'logpoint.id': lp.id,
+            'logpoint.snapshot.id': snapshot.id,
+            ...(snapshot.message !== undefined ? { 'logpoint.message': snapshot.message } : {}),
+        });
+    }
+    status(lp) {
+        if (lp.hits >= lp.maxHits)
+            return 'completed';
+        return Date.now() >= lp.expiresAt ? 'expired' : 'active';
+    }
+    refresh() {
+        this.active = Array.from(this.logpoints.values()).filter(lp => this.status(lp) === 'active');
+    }
+}
+const logpointRegistry = new LogpointRegistry();
+// probe-wrapper.ts checks the logpoints on the calls it wraps through this when the probe is loaded
+globalThis[Symbol.for('syncause.logpoints')] = logpointRegistry;
+// ===== In-flight spans =====
+// Spans only reach the cache once they end, so a call whose promise never settles would not be
+// visible at all. Function spans are tracked from start to end to list what is running now.
+const INFLIGHT_MAX_SPANS = 10000; // Oldest are dropped (and no longer listed) beyond this
+const INFLIGHT_CHECK_INTERVAL_MS = 1000;
+class InflightSpanRegistry {
+    constructor() {
+        // Insertion order is start order, so the first entry is the oldest
+        this.spans = new Map();
+        this.dropped = 0;
+        this.timer = null;
+    }
+    start(span, name, parentSpanId, args) {
+        const { spanId, traceId } = span.spanContext();
+        if (this.spans.size >= INFLIGHT_MAX_SPANS) {
+            this.spans.delete(this.spans.keys().next().value);
+            this.dropped++;
+        }
+        this.spans.set(spanId, { span, spanId, traceId, parentSpanId, name, startTime: Date.now(), args, warned: false });
+        if (INFLIGHT_WARN_AFTER_MS > 0 && !this.timer) {
+            this.timer = setInterval(() => this.warnLongRunning(), Math.min(INFLIGHT_CHECK_INTERVAL_MS, INFLIGHT_WARN_AFTER_MS));
+            this.timer.unref();
+        }
+    }
+    end(spanId) {
+        this.spans.delete(spanId);
+    }
+    stats() {
+        return { running: this.spans.size, dropped: this.dropped };
+    }
+    // Oldest first; minAgeMs leaves out calls that are merely slow
+    list(minAgeMs = 0, limit) {
+        const now = Date.now();
+        const spans = [];
+        for (const s of this.spans.values()) {
+            const ageMs = now - s.startTime;
+            if (ageMs < minAgeMs || (limit !== undefined && spans.length >= limit))
+                break;
+            spans.push({
+                spanId: s.spanId,
+                traceId: s.traceId,
+                parentSpanId: s.parentSpanId,
+                name: s.name,
+                startTime: new Date(s.startTime).toISOString(),
+                ageMs,
+                args: s.args.map(p => renderPreview(p)),
+                warned: s.warned,
+                ancestors: this.ancestors(s, now),
+            });
+        }
+        return { spans, total: this.spans.size, dropped: this.dropped };
+    }
+    // Innermost first; a parent that already ended (or is not a function span) ends the chain
+    ancestors(s, now) {
+        const chain = [];
+        let parentId = s.parentSpanId;
+        while (parentId) {
+            const parent = this.spans.get(parentId);
+            if (!parent) {
+                chain.push({ spanId: parentId, name: getCallerName(parentId) });
+                break;
+            }
+            chain.push({ spanId: parent.spanId, name: parent.name, ageMs: now - parent.startTime });
+            parentId = parent.parentSpanId;
+        }
+        return chain;
+    }
+    warnLongRunning() {
+        const now = Date.now();
+        for (const s of this.spans.values()) {
+            const ageMs = now - s.startTime;
+            if (ageMs < INFLIGHT_WARN_AFTER_MS)
+                break;
+            if (s.warned)
+                continue;
+            s.warned = true;
+            s.span.addEvent('inflight.warning', { 'inflight.age_ms': ageMs, 'inflight.threshold_ms': INFLIGHT_WARN_AFTER_MS });
+            debugLog.warn(`[DEBUG] ${s.name} (span ${s.spanId}, trace ${s.traceId}) still running after ${ageMs}ms`);
+        }
+    }
+}
+const inflightSpans = new InflightSpanRegistry();
+// probe-wrapper.ts reports the spans it starts and ends through this when the probe is loaded
+globalThis[Symbol.for('syncause.inflight')] = inflightSpans;
+// ===== Event loop blocking =====
+// The synchronous part of every traced call is timed (for async functions, up to their first
+// await). A call that keeps the event loop busy for eventLoopBlockThresholdMs or more, not
+// counting the traced calls it makes, gets an `event_loop.blocked` event and counts towards its
+// function's totals. perf_hooks tracks the overall loop delay, and a sampler counts the stalls
+// that no traced call accounts for.
+const EVENT_LOOP_SAMPLE_INTERVAL_MS = 50;
+const EVENT_LOOP_HISTOGRAM_RESOLUTION_MS = 20;
+const EVENT_LOOP_MAX_OFFENDERS = 1000; // Functions tracked; oldest are dropped beyond this
+function roundMs(ms) {
+    return Math.round(ms * 100) / 100;
+}
+class EventLoopBlockMonitor {
+    constructor() {
+        this.histogram = null;
+        // Traced calls currently running synchronously, innermost last
+        this.stack = [];
+        this.offenders = new Map();
+        this.stalls = 0;
+        this.unattributedStalls = 0;
+        this.lastBlockEnd = 0;
+    }
+    start() {
+        if (EVENT_LOOP_BLOCK_THRESHOLD_MS <= 0 || this.histogram)
+            return;
+        this.histogram = (0, perf_hooks_1.monitorEventLoopDelay)({ resolution: EVENT_LOOP_HISTOGRAM_RESOLUTION_MS });
+        this.histogram.enable();
+        let lastTick = perf_hooks_1.performance.now();
+        const sampler = setInterval(() => {
+            const now = perf_hooks_1.performance.now();
+            if (now - lastTick - EVENT_LOOP_SAMPLE_INTERVAL_MS >= EVENT_LOOP_BLOCK_THRESHOLD_MS) {
+                this.stalls++;
+                // A blocking call is recorded when it returns, so within the stalled interval
+                if (this.lastBlockEnd < lastTick)
+                    this.unattributedStalls++;
+            }
+            lastTick = now;
+        }, EVENT_LOOP_SAMPLE_INTERVAL_MS);
+        sampler.unref();
+    }
+    enter() {
+        if (EVENT_LOOP_BLOCK_THRESHOLD_MS <= 0)
+            return null;
+        const frame = { start: perf_hooks_1.performance.now(), childMs: 0 };
+        this.stack.push(frame);
+        return frame;
+    }
+    // span is the one active while the call ran, i.e. context.active() inside it
+    exit(frame, span, name) {
+        if (!frame)
+            return;
+        const end = perf_hooks_1.performance.now();
+        const elapsedMs = end - frame.start;
+        const depth = this.stack.lastIndexOf(frame);
+        if (depth >= 0)
+            this.stack.length = depth;
+        const parent = this.stack[this.stack.length - 1];
+        if (parent)
+            parent.childMs += elapsedMs;
+        const blockedMs = elapsedMs - frame.childMs;
+        if (blockedMs < EVENT_LOOP_BLOCK_THRESHOLD_MS)
+            return;
+        this.lastBlockEnd = end;
+        const { traceId, spanId } = span.spanContext();
+        span.addEvent('event_loop.blocked', { 'event_loop.blocked_ms': roundMs(blockedMs), 'event_loop.total_ms': roundMs(elapsedMs) });
+        span.setAttribute('function.event_loop.blocked_ms', roundMs(blockedMs));
+        let offender = this.offenders.get(name);
+        if (!offender) {
+            if (this.offenders.size >= EVENT_LOOP_MAX_OFFENDERS)
+                this.offenders.delete(this.offenders.keys().next().value);
+            offender = { name, count: 0, totalMs: 0, maxMs: 0, lastTraceId: traceId, lastSpanId: spanId, lastSeen: 0 };
+            this.offenders.set(name, offender);
+        }
+        offender.count++;
+        offender.totalMs += blockedMs;
+        offender.maxMs = Math.max(offender.maxMs, blockedMs);
+        offender.lastTraceId = traceId;
+        offender.lastSpanId = spanId;
+        offender.lastSeen = Date.now();
+        debugLog.warn(`[DEBUG] ${name} blocked the event loop for ${roundMs(blockedMs)}ms (span ${spanId})`);
+    }
+    // Worst offenders by total blocked time; loop delay percentiles since the probe started
+    report(limit) {
+        const h = this.histogram;
+        const ms = (ns) => roundMs(ns / 1e6);
+        const offenders = Array.from(this.offenders.values())
+            .sort((a, b) => b.totalMs - a.totalMs)
+            .slice(0, limit)
+            .map(o => ({ ...o, totalMs: roundMs(o.totalMs), maxMs: roundMs(o.maxMs), lastSeen: new Date(o.lastSeen).toISOString() }));
+        return {
+            enabled: !!h,
+            thresholdMs: EVENT_LOOP_BLOCK_THRESHOLD_MS,
+            delay: h && h.max > 0
+                ? { minMs: ms(h.min), meanMs: ms(h.mean), p50Ms: ms(h.percentile(50)), p99Ms: ms(h.percentile(99)), maxMs: ms(h.max) }
+                : null,
+            stalls: this.stalls,
+            unattributedStalls: this.unattributedStalls,
+            offenders,
+        };
+    }
+}
+const eventLoopBlocks = new EventLoopBlockMonitor();
+// probe-wrapper.ts times the calls it traces through this when the probe is loaded
+globalThis[Symbol.for('syncause.eventLoop')] = eventLoopBlocks;
+// ===== Health metrics =====
+// Process and probe metrics sent with every heartbeat and served at /remote-debug/health. CPU
+// usage, event loop utilization and GC pauses are measured over the last sample window; GC
+// totals and the probe counters are cumulative.
+const HEALTH_SAMPLE_INTERVAL_MS = 10000;
+// Bookkeeping done by traceCall before the traced function runs: span attributes, argument
+// previews, `this` state and logpoints. probe-wrapper.ts adds the calls it wraps when the probe is loaded.
+const probeOverhead = { spans: 0, entryMs: 0 };
+globalThis[Symbol.for('syncause.probeOverhead')] = probeOverhead;
+class HealthMonitor {
+    constructor() {
+        this.gc = { count: 0, pauseMs: 0, maxPauseMs: 0 };
+        this.lastSample = this.sample();
+        this.lastWindow = null;
+        this.started = false;
+    }
+    start() {
+        if (this.started)
+            return;
+        this.started = true;
+        try {
+            const observer = new perf_hooks_1.PerformanceObserver(list => {
+                for (const entry of list.getEntries()) {
+                    this.gc.count++;
+                    this.gc.pauseMs += entry.duration;
+                    this.gc.maxPauseMs = Math.max(this.gc.maxPauseMs, entry.duration);
+                }
+            });
+            observer.observe({ entryTypes: ['gc'] });
+        }
+        catch (error) {
+            debugLog.error('[DEBUG] GC pause monitoring unavailable:', error);
+        }
+        const timer = setInterval(() => {
+            const next = this.sample();
+            this.lastWindow = this.windowBetween(this.lastSample, next);
+            this.lastSample = next;
+        }, HEALTH_SAMPLE_INTERVAL_MS);
+        timer.unref();
+    }
+    sample() {
+        return {
+            time: perf_hooks_1.performance.now(),
+            cpu: process.cpuUsage(),
+            elu: perf_hooks_1.performance.eventLoopUtilization(),
+            gc: { count: this.gc.count, pauseMs: this.gc.pauseMs },
         };
-        let s = JSON.stringify(v, replacer);
-        if (typeof s !== 'string')
-            s = String(s);
-        if (s.length > 4000)
-            s = s.slice(0, 4000) + '...';
-        return s;
     }
-    catch {
+    windowBetween(from, to) {
+        const elapsedMs = Math.max(to.time - from.time, 1);
+        const cpuMs = (to.cpu.user - from.cpu.user + to.cpu.system - from.cpu.system) / 1000;
+        return {
+            seconds: roundMs(elapsedMs / 1000),
+            cpuPercent: roundMs(cpuMs / elapsedMs * 100),
+            eventLoopUtilization: roundMs(perf_hooks_1.performance.eventLoopUtilization(to.elu, from.elu).utilization),
+            gcCount: to.gc.count - from.gc.count,
+            gcPauseMs: roundMs(to.gc.pauseMs - from.gc.pauseMs),
+        };
+    }
+    collect() {
+        // Until the first window completes, measure since the last sample
+        const window = this.lastWindow || this.windowBetween(this.lastSample, this.sample());
+        const memory = process.memoryUsage();
+        const cpu = process.cpuUsage();
+        const resources = typeof process.getActiveResourcesInfo === 'function'
+            ? process.getActiveResourcesInfo()
+            : [];
+        const resourceTypes = {};
+        for (const type of resources)
+            resourceTypes[type] = (resourceTypes[type] || 0) + 1;
+        const eventLoop = eventLoopBlocks.report(0);
+        const inflight = inflightSpans.stats();
+        let tracedCalls = 0;
+        for (const traced of tracingRegistry.functions.values())
+            tracedCalls += traced.calls;
+        return {
+            uptimeSeconds: Math.round(process.uptime()),
+            window,
+            memory: {
+                heapUsedBytes: memory.heapUsed,
+                heapTotalBytes: memory.heapTotal,
+                rssBytes: memory.rss,
+                externalBytes: memory.external,
+            },
+            cpu: {
+                userMs: Math.round(cpu.user / 1000),
+                systemMs: Math.round(cpu.system / 1000),
+                percent: window.cpuPercent,
+            },
+            eventLoop: {
+                utilization: window.eventLoopUtilization,
+                delay: eventLoop.delay,
+                stalls: eventLoop.stalls,
+            },
+            activeResources: { total: resources.length, byType: resourceTypes },
+            gc: { count: this.gc.count, totalPauseMs: roundMs(this.gc.pauseMs), maxPauseMs: roundMs(this.gc.maxPauseMs) },
+            probe: {
+                tracedFunctions: tracingRegistry.functions.size,
+                tracedCalls,
+                spansStarted: probeOverhead.spans,
+                entryOverheadMs: roundMs(probeOverhead.entryMs),
+                inflightSpans: inflight.running,
+                inflightDropped: inflight.dropped,
+            },
+        };
+    }
+}
+const healthMonitor = new HealthMonitor();
+// One traced call: opens the span, records caller, arguments and outcome, and keeps the span
+// open for promises and generators. invoke performs the actual call on self.
+function traceCall(traced, self, args, invoke) {
+    traced.calls++;
+    if (traced.mode === 'off') {
+        logpointRegistry.check(traced.name, self, args, undefined);
+        return invoke();
+    }
+    const entryStart = perf_hooks_1.performance.now();
+    const spanName = traced.name;
+    const captureValues = traced.mode === 'full';
+    // Get parent span information
+    const parentSpan = api_1.trace.getSpan(api_1.context.active());
+    const parentSpanContext = parentSpan?.spanContext();
+    const parentSpanId = parentSpanContext?.spanId;
+    const callerName = getCallerName(parentSpanId);
+    const span = tracer.startSpan(spanName);
+    const spanId = span.spanContext().spanId;
+    // Record current span's function name to mapping table
+    recordSpanName(spanId, spanName);
+    span.setAttribute('function.name', spanName);
+    span.setAttribute('function.type', traced.type);
+    span.setAttribute('function.args.count', args.length);
+    if (!captureValues)
+        span.setAttribute('function.tracing.mode', traced.mode);
+    // OpenTelemetry code.* attributes, from the location the build transforms pass in
+    span.setAttribute('code.function', traced.functionName);
+    if (traced.filepath)
+        span.setAttribute('code.filepath', traced.filepath);
+    if (traced.lineno !== undefined)
+        span.setAttribute('code.lineno', traced.lineno);
+    if (traced.column !== undefined)
+        span.setAttribute('code.column', traced.column);
+    // Record caller information
+    if (callerName) {
+        span.setAttribute('function.caller.name', callerName);
+    }
+    if (parentSpanId) {
+        span.setAttribute('function.caller.spanId', parentSpanId);
+    }
+    const maxArgs = captureValues ? Math.min(args.length, MAX_ARGS) : 0;
+    const argEntries = new Map();
+    const argPreviews = [];
+    for (let i = 0; i < maxArgs; i++) {
+        const preview = recordValue(span, `function.args.${i}`, spanName, i, args[i]);
+        argPreviews.push(preview);
+        // Only containers can be mutated in place
+        if (DETECT_ARG_MUTATIONS && STRUCTURED_PREVIEW_TYPES.has(preview.type))
+            argEntries.set(i, preview);
+    }
+    logpointRegistry.check(spanName, self, args, span);
+    inflightSpans.start(span, spanName, parentSpanId, argPreviews);
+    const onEnd = () => {
+        inflightSpans.end(spanId);
+        cleanupSpanName(spanId);
+    };
+    // Receiver state; its exit side and argument mutations are recorded once the call settles
+    // (not for generators)
+    const thisEntry = captureValues && shouldCaptureThis(traced.type, self) ? previewValue(self) : null;
+    if (thisEntry)
+        recordPreview(span, 'function.this.entry', thisEntry);
+    const recordExitState = () => {
+        if (thisEntry)
+            recordThisExit(span, thisEntry, self);
+        if (argEntries.size > 0)
+            recordArgMutations(span, args, argEntries);
+    };
+    probeOverhead.spans++;
+    probeOverhead.entryMs += perf_hooks_1.performance.now() - entryStart;
+    const ctx = api_1.trace.setSpan(api_1.context.active(), span);
+    try {
+        const syncFrame = eventLoopBlocks.enter();
+        let res;
         try {
-            const s = (0, util_1.inspect)(v, { depth: 2, maxArrayLength: 50, breakLength: 120 });
-            return s.length > 4000 ? s.slice(0, 4000) + '...' : s;
+            res = api_1.context.with(ctx, invoke);
         }
-        catch {
-            return '[unserializable]';
+        finally {
+            eventLoopBlocks.exit(syncFrame, span, spanName);
         }
+        if (isGeneratorObject(res)) {
+            return traceGenerator(res, span, ctx, spanName, captureValues, onEnd);
+        }
+        if (isPromiseLike(res)) {
+            return res
+                .then((val) => {
+                if (captureValues)
+                    recordValue(span, 'function.return.value', spanName, 'return', val);
+                recordExitState();
+                span.setStatus({ code: api_1.SpanStatusCode.OK });
+                span.end();
+                onEnd();
+                return val;
+            })
+                .catch((err) => {
+                recordExitState();
+                recordSpanException(span, err);
+                span.setStatus({ code: api_1.SpanStatusCode.ERROR, message: errorStatusMessage(err) });
+                span.end();
+                onEnd();
+                throw err;
+            });
+        }
+        if (captureValues)
+            recordValue(span, 'function.return.value', spanName, 'return', res);
+        recordExitState();
+        span.setStatus({ code: api_1.SpanStatusCode.OK });
+        span.end();
+        onEnd();
+        return res;
+    }
+    catch (err) {
+        recordExitState();
+        recordSpanException(span, err);
+        span.setStatus({ code: api_1.SpanStatusCode.ERROR, message: errorStatusMessage(err) });
+        span.end();
+        onEnd();
+        throw err;
     }
 }
-function wrapFunction(fn, spanName, type = 'user_function') {
+function wrapFunction(fn, spanName, type = 'user_function', location) {
     if (fn[WRAPPED])
         return fn;
+    const traced = registerTracedFunction(spanName, type, location);
     const wrapped = function (...args) {
-        // Get parent span information
-        const parentSpan = api_1.trace.getSpan(api_1.context.active());
-        const parentSpanContext = parentSpan?.spanContext();
-        const parentSpanId = parentSpanContext?.spanId;
-        const callerName = getCallerName(parentSpanId);
-        const span = tracer.startSpan(spanName);
-        const spanId = span.spanContext().spanId;
-        // Record current span's function name to mapping table
-        recordSpanName(spanId, spanName);
-        span.setAttribute('function.name', spanName);
-        span.setAttribute('function.type', type);
-        span.setAttribute('function.args.count', args.length);
-        // Record caller information
-        if (callerName) {
-            span.setAttribute('function.caller.name', callerName);
-        }
-        if (parentSpanId) {
-            span.setAttribute('function.caller.spanId', parentSpanId);
-        }
-        const maxArgs = Math.min(args.length, 10);
-        for (let i = 0; i < maxArgs; i++) {
-            span.setAttribute(`function.args.${i}`, toStr(args[i]));
-        }
-        const ctx = api_1.trace.setSpan(api_1.context.active(), span);
-        try {
-            const res = api_1.context.with(ctx, () => fn.apply(this, args));
-            if (isPromiseLike(res)) {
-                return res
-                    .then((val) => {
-                    span.setAttribute('function.return.value', toStr(val));
-                    span.setStatus({ code: api_1.SpanStatusCode.OK });
-                    span.end();
-                    cleanupSpanName(spanId);
-                    return val;
-                })
-                    .catch((err) => {
-                    span.recordException(err);
-                    span.setStatus({ code: api_1.SpanStatusCode.ERROR, message: String(err?.message || err) });
-                    span.end();
-                    cleanupSpanName(spanId);
-                    throw err;
-                });
-            }
-            span.setAttribute('function.return.value', toStr(res));
-            span.setStatus({ code: api_1.SpanStatusCode.OK });
-            span.end();
-            cleanupSpanName(spanId);
-            return res;
-        }
-        catch (err) {
-            span.recordException(err);
-            span.setStatus({ code: api_1.SpanStatusCode.ERROR, message: String(err?.message || err) });
-            span.end();
-            cleanupSpanName(spanId);
-            throw err;
-        }
+        return traceCall(traced, this, args, () => fn.apply(this, args));
     };
+    copyFunctionMetadata(wrapped, fn);
     wrapped[WRAPPED] = true;
     return wrapped;
 }
@@ -488,11 +3195,60 @@ function wrapFunction(fn, spanName, type = 'user_function') {
  * Manually wrap a function for tracing - exported for user code
  * @param fn - The function to wrap
  * @param name - Optional span name (defaults to function name)
+ * @param location - Optional "path:line:column" of the declaration, recorded as code.* attributes
  * @returns The wrapped function
  */
-function wrapUserFunction(fn, name) {
+function wrapUserFunction(fn, name, location) {
     const spanName = name || fn.name || 'anonymous';
-    return wrapFunction(fn, spanName, 'user_function');
+    return wrapFunction(fn, spanName, 'user_function', location);
+}
+/**
+ * Get the original function behind a traced wrapper (returns non-wrappers unchanged)
+ */
+function unwrap(fn) {
+    let original = fn;
+    while (original && original[ORIGINAL])
+        original = original[ORIGINAL];
+    return original;
+}
+// Compiled classRules: member globs become anchored regular expressions
+const classRuleMatchers = new Map(Object.entries(probeConfig.classRules).map(([className, rule]) => {
+    const compile = (globs) => globs?.map(globToRegExp);
+    return [className, { include: compile(rule.include), exclude: compile(rule.exclude) }];
+}));
+// Member is "constructor", "<method>", "static <method>", "get <prop>" or "set <prop>". Both the
+// class's own rule and the "*" rule apply; exclude wins over include.
+function isClassMemberTraced(className, member) {
+    for (const key of [className, '*']) {
+        const rule = classRuleMatchers.get(key);
+        if (!rule)
+            continue;
+        if (rule.exclude?.some(p => p.test(member)))
+            return false;
+        if (rule.include && !rule.include.some(p => p.test(member)))
+            return false;
+    }
+    return true;
+}
+// Skip built-in prototypes
+const builtinPrototypes = ['Object', 'Function', 'Array', 'String', 'Number', 'Boolean', 'Date', 'RegExp', 'Promise', 'Map', 'Set', 'WeakMap', 'WeakSet', 'Symbol', 'Error', 'Buffer'];
+function isBuiltinClass(cls, className) {
+    return builtinPrototypes.includes(className) || builtinPrototypes.includes(cls.name);
+}
+// Wrap the getter and/or setter of an accessor property; returns the new descriptor, or null if
+// neither side is traced
+function wrapAccessor(desc, className, name, prefix) {
+    let changed = false;
+    const wrapped = { ...desc };
+    if (desc.get && isClassMemberTraced(className, `${prefix}get ${name}`)) {
+        wrapped.get = wrapFunction(desc.get, `${className}.get ${name}`, 'getter');
+        changed = wrapped.get !== desc.get;
+    }
+    if (desc.set && isClassMemberTraced(className, `${prefix}set ${name}`)) {
+        wrapped.set = wrapFunction(desc.set, `${className}.set ${name}`, 'setter');
+        changed = changed || wrapped.set !== desc.set;
+    }
+    return changed ? wrapped : null;
 }
 function wrapClassPrototype(cls, className) {
     if (!cls || !cls.prototype) {
@@ -500,9 +3256,7 @@ function wrapClassPrototype(cls, className) {
         return;
     }
     const names = Object.getOwnPropertyNames(cls.prototype);
-    // Skip built-in prototypes
-    const builtinPrototypes = ['Object', 'Function', 'Array', 'String', 'Number', 'Boolean', 'Date', 'RegExp', 'Promise', 'Map', 'Set', 'WeakMap', 'WeakSet', 'Symbol', 'Error', 'Buffer'];
-    if (builtinPrototypes.includes(className) || builtinPrototypes.includes(cls.name)) {
+    if (isBuiltinClass(cls, className)) {
         debugLog.log(`[DEBUG] wrapClassPrototype: Skipping built-in prototype ${className}`);
         return;
     }
@@ -510,32 +3264,134 @@ function wrapClassPrototype(cls, className) {
     const loggerPublicMethods = ['info', 'warn', 'error', 'debug', 'log', 'trace', 'fatal', 'verbose', 'silly'];
     const isLoggerClass = className.toLowerCase().includes('logger') ||
         loggerPublicMethods.some(m => names.includes(m));
-    for (const name of names) {
-        if (name === 'constructor')
+    // Own members first, then (opt-in) members inherited from parent classes. Inherited members
+    // are wrapped on this class's prototype so the parent class itself is left untouched.
+    const sources = [{ proto: cls.prototype, inherited: false }];
+    if (TRACE_INHERITED_METHODS) {
+        for (let proto = Object.getPrototypeOf(cls.prototype); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+            if (proto.constructor && isBuiltinClass(proto.constructor, proto.constructor.name))
+                break;
+            sources.push({ proto, inherited: true });
+        }
+    }
+    const seen = new Set();
+    for (const { proto, inherited } of sources) {
+        for (const name of Object.getOwnPropertyNames(proto)) {
+            // Nearer definitions shadow inherited ones
+            if (seen.has(name))
+                continue;
+            seen.add(name);
+            if (name === 'constructor')
+                continue;
+            // Skip built-in method names that might cause issues
+            if (['toString', 'toJSON', 'valueOf', 'inspect'].includes(name))
+                continue;
+            // If it's a Logger class, only wrap public log methods
+            if (isLoggerClass && !loggerPublicMethods.includes(name)) {
+                debugLog.log(`[DEBUG] wrapClassPrototype: Skipping internal method ${className}.${name}`);
+                continue;
+            }
+            const desc = Object.getOwnPropertyDescriptor(proto, name);
+            if (!desc)
+                continue;
+            // Inherited members must be redefined on this prototype, so they need to be configurable
+            if (inherited && !desc.configurable)
+                continue;
+            if (desc.get || desc.set) {
+                if (!TRACE_ACCESSORS)
+                    continue;
+                const wrappedDesc = wrapAccessor(desc, className, name, '');
+                if (wrappedDesc) {
+                    Object.defineProperty(cls.prototype, name, wrappedDesc);
+                    debugLog.log(`[DEBUG] wrapClassPrototype: Wrapped accessor ${className}.${name}`);
+                }
+                continue;
+            }
+            const fn = desc.value;
+            if (typeof fn !== 'function')
+                continue;
+            if (!isClassMemberTraced(className, name))
+                continue;
+            const spanName = `${className}.${name}`;
+            debugLog.log(`[DEBUG] wrapClassPrototype: Wrapping ${inherited ? 'inherited ' : ''}method ${name} -> ${spanName}`);
+            const newFn = wrapFunction(fn, spanName, 'class_method');
+            if (newFn !== fn) {
+                Object.defineProperty(cls.prototype, name, { ...desc, value: newFn });
+                debugLog.log(`[DEBUG] wrapClassPrototype: Successfully wrapped ${name}`);
+            }
+        }
+    }
+}
+function wrapClassStatics(cls, className) {
+    for (const name of Object.getOwnPropertyNames(cls)) {
+        if (['length', 'name', 'prototype', 'arguments', 'caller'].includes(name))
             continue;
-        // Skip built-in method names that might cause issues
-        if (['toString', 'toJSON', 'valueOf', 'inspect'].includes(name))
+        const desc = Object.getOwnPropertyDescriptor(cls, name);
+        if (!desc || !desc.configurable)
             continue;
-        // If it's a Logger class, only wrap public log methods
-        if (isLoggerClass && !loggerPublicMethods.includes(name)) {
-            debugLog.log(`[DEBUG] wrapClassPrototype: Skipping internal method ${className}.${name}`);
+        if (desc.get || desc.set) {
+            if (!TRACE_ACCESSORS)
+                continue;
+            const wrappedDesc = wrapAccessor(desc, className, name, 'static ');
+            if (wrappedDesc)
+                Object.defineProperty(cls, name, wrappedDesc);
             continue;
         }
-        const desc = Object.getOwnPropertyDescriptor(cls.prototype, name);
-        if (!desc)
-            continue;
         const fn = desc.value;
-        if (typeof fn !== 'function')
+        // Nested classes are left to wrapExports
+        if (!TRACE_STATIC_METHODS || typeof fn !== 'function' || /^class\b/.test(Function.prototype.toString.call(fn)))
             continue;
-        const spanName = `${className}.${name}`;
-        debugLog.log(`[DEBUG] wrapClassPrototype: Wrapping method ${name} -> ${spanName}`);
-        const newFn = wrapFunction(fn, spanName, 'class_method');
+        if (!isClassMemberTraced(className, `static ${name}`))
+            continue;
+        const newFn = wrapFunction(fn, `${className}.${name}`, 'static_method');
         if (newFn !== fn) {
-            Object.defineProperty(cls.prototype, name, { ...desc, value: newFn });
-            debugLog.log(`[DEBUG] wrapClassPrototype: Successfully wrapped ${name}`);
+            Object.defineProperty(cls, name, { ...desc, value: newFn });
+            debugLog.log(`[DEBUG] wrapClassStatics: Wrapped static method ${className}.${name}`);
         }
     }
 }
+// Proxy per traced class, so a class exported more than once is wrapped once
+const constructorProxies = new WeakMap();
+// A span per `new` (including `super()` calls from subclasses). The class is replaced by a Proxy
+// so statics, prototype and instanceof keep working; `new` through the class's own name inside
+// its body bypasses the Proxy and is not traced.
+function wrapConstructor(cls, className) {
+    const existing = constructorProxies.get(cls);
+    if (existing)
+        return existing;
+    if (!isClassMemberTraced(className, 'constructor'))
+        return cls;
+    const traced = registerTracedFunction(`${className}.constructor`, 'constructor');
+    const proxy = new Proxy(cls, {
+        construct(target, args, newTarget) {
+            // Keep `new.target === ClassName` checks inside the class body working
+            const actualTarget = newTarget === proxy ? target : newTarget;
+            return traceCall(traced, undefined, args, () => Reflect.construct(target, args, actualTarget));
+        },
+    });
+    constructorProxies.set(cls, proxy);
+    debugLog.log(`[DEBUG] wrapConstructor: Tracing construction of ${className}`);
+    return proxy;
+}
+// Everything class tracing covers; returns the class to use in place of cls
+function wrapClass(cls, className) {
+    wrapClassPrototype(cls, className);
+    if (isBuiltinClass(cls, className))
+        return cls;
+    if (TRACE_STATIC_METHODS || TRACE_ACCESSORS)
+        wrapClassStatics(cls, className);
+    return TRACE_CONSTRUCTORS ? wrapConstructor(cls, className) : cls;
+}
+/**
+ * Manually wrap a class for tracing - exported for user code. Prototype methods are always traced;
+ * constructors, static methods, accessors and inherited methods follow the trace* options and classRules.
+ * @param cls - The class to wrap
+ * @param name - Optional class name used in span names (defaults to cls.name)
+ * @returns The class to use in place of cls (a Proxy when traceConstructors is enabled)
+ */
+function wrapUserClass(cls, name) {
+    return wrapClass(cls, name || cls.name || 'AnonymousClass');
+}
 function wrapExports(mod, modulePath) {
     if (!mod)
         return mod;
@@ -548,9 +3404,9 @@ function wrapExports(mod, modulePath) {
     if (typeof mod === 'function') {
         const isClass = !!(mod.prototype && Object.getOwnPropertyNames(mod.prototype).length > 1);
         if (isClass) {
-            wrapClassPrototype(mod, mod.name || base);
+            const wrappedClass = wrapClass(mod, mod.name || base);
             wrappedModules.add(modulePath);
-            return mod;
+            return wrappedClass;
         }
         else {
             const wrapped = wrapFunction(mod, `${base}.${mod.name || 'default'}`, 'user_function');
@@ -566,7 +3422,9 @@ function wrapExports(mod, modulePath) {
                 debugLog.log(`[DEBUG] Found function: ${key}, type: ${val.name || 'anonymous'}, has prototype: ${!!val.prototype}`);
                 if (val.prototype && Object.getOwnPropertyNames(val.prototype).length > 1) {
                     debugLog.log(`[DEBUG] Wrapping class prototype for: ${key}`);
-                    wrapClassPrototype(val, val.name || `${base}.${key}`);
+                    const wrappedClass = wrapClass(val, val.name || `${base}.${key}`);
+                    if (wrappedClass !== val)
+                        mod[key] = wrappedClass;
                 }
                 else {
                     debugLog.log(`[DEBUG] Wrapping function: ${key} -> ${base}.${key}`);
@@ -593,7 +3451,9 @@ function wrapExports(mod, modulePath) {
                         debugLog.log(`[DEBUG] Found method on ${key}: ${objKey}, type: ${objVal.name || 'anonymous'}`);
                         if (objVal.prototype && Object.getOwnPropertyNames(objVal.prototype).length > 1) {
                             debugLog.log(`[DEBUG] Wrapping class prototype for method: ${key}.${objKey}`);
-                            wrapClassPrototype(objVal, objVal.name || `${key}.${objKey}`);
+                            const wrappedClass = wrapClass(objVal, objVal.name || `${key}.${objKey}`);
+                            if (wrappedClass !== objVal)
+                                val[objKey] = wrappedClass;
                         }
                         else {
                             debugLog.log(`[DEBUG] Wrapping method: ${key}.${objKey} -> ${key}.${objKey}`);
@@ -653,6 +3513,127 @@ function wrapRequireCache() {
     }
     debugLog.log(`[DEBUG] wrapRequireCache: Wrapped ${wrappedCount} modules`);
 }
+// ===== Automatic function wrapping =====
+// Plain Node.js apps have no bundler to run probe-loader.js or babel-plugin-probe.js, so the
+// plugin is applied at load time instead: a module.register() loader hook for ES modules and a
+// Module.prototype._compile hook for CommonJS. Transformed files read wrapUserFunction from
+// this global rather than importing probe-wrapper.
+const AUTO_WRAP_GLOBAL = '__syncause_wrapUserFunction';
+// Also runs in the loader hooks thread, where its source is inlined into the hooks module,
+// so it may only use its parameters. Returns the source unchanged when nothing was wrapped.
+function transformWithProbePlugin(babel, plugin, options, source, filename) {
+    const normalized = filename.replace(/\\/g, '/');
+    if (!options.test.test(normalized) ||
+        options.exclude.some(p => normalized.includes(p)) ||
+        !options.include.some(p => normalized.includes(p)) ||
+        !source.includes('function'))
+        return source;
+    const parserPlugins = /\.[cm]?tsx?$/.test(normalized) ? ['typescript', 'decorators-legacy'] : [];
+    if (/x$/.test(normalized))
+        parserPlugins.push('jsx');
+    const result = babel.transformSync(source, {
+        filename,
+        configFile: false,
+        babelrc: false,
+        sourceType: 'unambiguous',
+        // Keep stack trace line numbers pointing at the original source
+        retainLines: true,
+        parserOpts: { plugins: parserPlugins },
+        plugins: [[plugin, options]],
+    });
+    return result && result.code && result.code.includes(options.wrapperGlobal) ? result.code : source;
+}
+// Hooks module for module.register(), loaded from a data: URL. The loader thread has its own
+// module graph, so it loads @babel/core and the plugin itself from the paths passed as data.
+const AUTO_WRAP_LOADER_SOURCE = `
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+
+const transformWithProbePlugin = ${transformWithProbePlugin.toString()};
+let babel, plugin, options;
+
+export function initialize(data) {
+    const req = createRequire(data.pluginPath);
+    babel = req(data.babelCorePath);
+    plugin = req(data.pluginPath);
+    options = data.options;
+}
+
+export async function load(url, context, nextLoad) {
+    const result = await nextLoad(url, context);
+    if ((result.format !== 'module' && result.format !== 'module-typescript') || !url.startsWith('file:') || result.source == null) {
+        return result;
+    }
+    try {
+        const source = typeof result.source === 'string' ? result.source : new TextDecoder().decode(result.source);
+        return { ...result, source: transformWithProbePlugin(babel, plugin, options, source, fileURLToPath(url)) };
+    } catch {
+        return result;
+    }
+}
+`;
+function installAutoWrap() {
+    // Next.js apps are wrapped at build time by probe-loader.js / babel-plugin-probe.js
+    if (!AUTO_WRAP || process.env.NEXT_RUNTIME)
+        return;
+    const cwd = process.cwd();
+    const projectRequire = Module.createRequire(path.join(cwd, 'package.json'));
+    let babelCorePath;
+    let pluginPath;
+    try {
+        babelCorePath = projectRequire.resolve('@babel/core');
+        pluginPath = projectRequire.resolve(path.resolve(cwd, probeConfig.babelPluginPath));
+    }
+    catch (error) {
+        debugLog.log(`[DEBUG] Automatic function wrapping disabled (install @babel/core and ${probeConfig.babelPluginPath}): ${error?.message || error}`);
+        return;
+    }
+    const options = {
+        test: /\.[cm]?[jt]sx?$/,
+        include: probeConfig.autoWrapInclude.length > 0 ? probeConfig.autoWrapInclude : [cwd.replace(/\\/g, '/') + '/'],
+        exclude: probeConfig.autoWrapExclude,
+        wrapperGlobal: AUTO_WRAP_GLOBAL,
+        log: false,
+    };
+    globalThis[AUTO_WRAP_GLOBAL] = wrapUserFunction;
+    // CommonJS: transform each project file just before it is compiled
+    try {
+        const babel = projectRequire(babelCorePath);
+        const plugin = projectRequire(pluginPath);
+        const moduleProto = Module.Module.prototype;
+        const originalCompile = moduleProto._compile;
+        moduleProto._compile = function (content, filename, ...rest) {
+            let code = content;
+            try {
+                code = transformWithProbePlugin(babel, plugin, options, content, filename);
+            }
+            catch (error) {
+                debugLog.log(`[DEBUG] Automatic function wrapping skipped ${filename}: ${error?.message || error}`);
+            }
+            return originalCompile.call(this, code, filename, ...rest);
+        };
+        debugLog.log('[DEBUG] CommonJS compile hook installed for automatic function wrapping');
+    }
+    catch (error) {
+        debugLog.error('[DEBUG] Failed to install CommonJS compile hook:', error);
+    }
+    // ES modules: loader hooks (Node.js 20.6+)
+    const register = Module.register;
+    if (typeof register !== 'function') {
+        debugLog.log('[DEBUG] module.register() not available, ES modules will not be wrapped automatically');
+        return;
+    }
+    try {
+        register('data:text/javascript,' + encodeURIComponent(AUTO_WRAP_LOADER_SOURCE), {
+            parentURL: (0, url_1.pathToFileURL)(cwd + path.sep).href,
+            data: { babelCorePath, pluginPath, options },
+        });
+        debugLog.log('[DEBUG] ESM loader hook registered for automatic function wrapping');
+    }
+    catch (error) {
+        debugLog.error('[DEBUG] Failed to register ESM loader hook:', error);
+    }
+}
 // Intercept console.log and other console methods
 // Only in production to avoid HMR conflicts in development
 const isInstrumenting = Symbol('is_instrumenting');
@@ -689,23 +3670,23 @@ if (!isDevelopment) {
                         span.setAttribute('function.caller.spanId', parentSpanId);
                     }
                     // Record arguments
-                    const maxArgs = Math.min(args.length, 10);
+                    const maxArgs = Math.min(args.length, MAX_ARGS);
                     for (let i = 0; i < maxArgs; i++) {
-                        span.setAttribute(`function.args.${i}`, toStr(args[i]));
+                        recordValue(span, `function.args.${i}`, spanName, i, args[i]);
                     }
                     const ctx = api_1.trace.setSpan(api_1.context.active(), span);
                     try {
                         // Call original function directly without context.with to avoid possible recursion
                         const result = originalFn.apply(console, args);
-                        span.setAttribute('function.return.value', toStr(result));
+                        recordValue(span, 'function.return.value', spanName, 'return', result);
                         span.setStatus({ code: api_1.SpanStatusCode.OK });
                         span.end();
                         cleanupSpanName(spanId);
                         return result;
                     }
                     catch (err) {
-                        span.recordException(err);
-                        span.setStatus({ code: api_1.SpanStatusCode.ERROR, message: String(err?.message || err) });
+                        recordSpanException(span, err);
+                        span.setStatus({ code: api_1.SpanStatusCode.ERROR, message: errorStatusMessage(err) });
                         span.end();
                         cleanupSpanName(spanId);
                         throw err;
@@ -740,7 +3721,9 @@ function startHeartbeatLoop() {
                     timestamp: new Date().toISOString(),
                     metadata: {
                         span_count: spanCache.getStatistics().totalSpans,
-                        trace_count: spanCache.getStatistics().totalTraces
+                        trace_count: spanCache.getStatistics().totalTraces,
+                        // Same as `runtime` at /remote-debug/health
+                        runtime: healthMonitor.collect()
                     }
                 }
             };
@@ -753,7 +3736,7 @@ function connectToProxyServer() {
     if (instrumentationConnected && wsConnection && wsConnection.readyState === ws_1.default.OPEN) {
         return;
     }
-    const wsUrl = process.env.PROXY_WS_URL || 'wss://api.syn-cause.com/codeproxy/ws';
+    const wsUrl = probeConfig.proxyWsUrl;
     const apiKey = API_KEY;
     try {
         const urlWithAuth = apiKey
@@ -795,6 +3778,8 @@ function connectToProxyServer() {
         });
         wsConnection.on('close', (code, reason) => {
             instrumentationConnected = false;
+            // Subscriptions belong to the proxy session that created them
+            spanStream.unsubscribeAll('ws');
             debugLog.log(`[DEBUG] Disconnected from proxy server (${wsUrl}): ${code} - ${reason.toString()}`);
             // Attempt to reconnect after 5 seconds
             setTimeout(() => {
@@ -848,7 +3833,9 @@ function handleProxyMessage(message) {
         debugLog.error('[DEBUG] Error handling proxy message:', error);
     }
 }
-function handleDataRequest(incomingData) {
+// Stop pushing streamed spans while this much data is still queued on the proxy socket
+const WS_STREAM_MAX_BUFFERED_BYTES = 1024 * 1024;
+async function handleDataRequest(incomingData) {
     if (!wsConnection || wsConnection.readyState !== ws_1.default.OPEN) {
         debugLog.log('[DEBUG] handleDataRequest: WebSocket not open');
         return;
@@ -875,49 +3862,59 @@ function handleDataRequest(incomingData) {
         };
         switch (action) {
             case 'get_spans':
-                const startTime = params.startTime ? parseInt(params.startTime) : undefined;
-                const endTime = params.endTime ? parseInt(params.endTime) : undefined;
-                const traceId = params.traceId;
-                const functionName = params.functionName;
-                const limit = params.limit ? parseInt(params.limit) : undefined;
-                let spans;
-                if (typeof startTime === 'number' && typeof endTime === 'number') {
-                    spans = getSpansByTimeRange(startTime, endTime);
-                }
-                else if (traceId) {
-                    spans = getSpansByTraceId(traceId);
-                }
-                else if (functionName) {
-                    spans = getSpansByFunctionName(functionName);
-                }
-                else {
-                    spans = getSpans(limit);
-                }
-                response.data.spans = spans.map(s => ({
-                    traceId: s.traceId,
-                    spanId: s.spanId,
-                    parentSpanId: s.parentSpanId,
-                    name: s.name,
-                    kind: s.kind,
-                    startTime: new Date(s.startTime / 1000000).toISOString(),
-                    endTime: new Date(s.endTime / 1000000).toISOString(),
-                    durationMs: s.duration / 1000000,
-                    status: s.status,
-                    attributes: s.attributes,
-                    events: s.events,
-                    links: s.links,
-                }));
-                response.data.total = spans.length;
-                response.data.query = { startTime, endTime, traceId, functionName, limit };
+                const spanQuery = parseSpanQuery(params);
+                const spanPage = await findSpans(spanQuery);
+                response.data.spans = spanPage.spans.map(formatSpan);
+                response.data.total = spanPage.total;
+                response.data.nextCursor = spanPage.nextCursor;
+                response.data.query = spanQuery;
                 break;
             case 'get_traces':
-                const tracesStartTime = params?.startTime ? parseInt(params.startTime) : undefined;
-                const tracesEndTime = params?.endTime ? parseInt(params.endTime) : undefined;
-                const tracesLimit = params?.limit ? parseInt(params.limit) : undefined;
-                const traces = getTracesWithSpans(tracesStartTime, tracesEndTime, tracesLimit);
+                const tracesStartTime = parseOptionalNumber(params.startTime, 'startTime');
+                const tracesEndTime = parseOptionalNumber(params.endTime, 'endTime');
+                const tracesLimit = parseOptionalLimit(params.limit);
+                const tracesSource = parseSpanSource(params.source);
+                const traces = await findTraces(tracesStartTime, tracesEndTime, tracesLimit, tracesSource);
                 response.data.traces = traces;
                 response.data.total = traces.length;
-                response.data.query = { startTime: tracesStartTime, endTime: tracesEndTime, limit: tracesLimit };
+                response.data.query = { startTime: tracesStartTime, endTime: tracesEndTime, limit: tracesLimit, source: tracesSource };
+                break;
+            case 'get_call_tree':
+                const treeTraceId = params.traceId ? String(params.traceId) : '';
+                const treeSource = parseSpanSource(params.source);
+                const tree = await getCallTree(treeTraceId, treeSource);
+                if (!tree) {
+                    response.data.success = false;
+                    response.data.error = `Trace not found: ${treeTraceId}`;
+                    break;
+                }
+                response.data.traceId = treeTraceId;
+                response.data.tree = tree;
+                if (params.format === 'text')
+                    response.data.text = renderCallTree(tree);
+                break;
+            case 'get_function_stats':
+                let functionStats = getFunctionStats();
+                if (params.functionName)
+                    functionStats = functionStats.filter(f => f.functionName === params.functionName);
+                const functionStatsLimit = parseOptionalLimit(params.limit);
+                if (typeof functionStatsLimit === 'number')
+                    functionStats = functionStats.slice(0, functionStatsLimit);
+                response.data.functions = functionStats;
+                response.data.total = functionStats.length;
+                break;
+            case 'export_trace':
+                const exportTraceId = params.traceId ? String(params.traceId) : '';
+                const exportFormat = parseTraceExportFormat(params.format);
+                const exported = await exportTrace(exportTraceId, exportFormat, parseSpanSource(params.source));
+                if (!exported) {
+                    response.data.success = false;
+                    response.data.error = `Trace not found: ${exportTraceId}`;
+                    break;
+                }
+                response.data.traceId = exportTraceId;
+                response.data.format = exportFormat;
+                response.data.document = exported;
                 break;
             case 'get_stats':
                 const stats = getSpanStats();
@@ -932,12 +3929,105 @@ function handleDataRequest(incomingData) {
                 clearSpans();
                 response.data.message = 'Span cache cleared';
                 break;
+            case 'get_instrumentation':
+                const instrumentationMode = params.mode ? parseTracingMode(params.mode) : undefined;
+                const instrumented = listTracedFunctions(params.name ? String(params.name) : undefined, instrumentationMode);
+                response.data.functions = instrumented;
+                response.data.total = instrumented.length;
+                response.data.rules = tracingRules();
+                break;
+            case 'set_tracing':
+                if (!params.name)
+                    throw new Error('name is required (a function name or glob such as "UserService.*")');
+                const tracingMode = parseTracingMode(params.mode);
+                response.data.name = String(params.name);
+                response.data.mode = tracingMode;
+                response.data.matched = setTracingMode(String(params.name), tracingMode);
+                response.data.rules = tracingRules();
+                break;
+            case 'reset_tracing':
+                resetTracingModes();
+                response.data.message = 'Tracing reset to full for all functions';
+                break;
+            case 'set_logpoint':
+                response.data.logpoint = logpointRegistry.describe(logpointRegistry.set(params));
+                break;
+            case 'remove_logpoint':
+                if (!logpointRegistry.remove(String(params.id))) {
+                    response.data.success = false;
+                    response.data.error = `Unknown logpoint: ${params.id}`;
+                }
+                break;
+            case 'get_logpoints':
+                const logpointList = logpointRegistry.list();
+                response.data.logpoints = logpointList;
+                response.data.total = logpointList.length;
+                break;
+            case 'get_snapshots':
+                const snapshotLogpointId = params.logpointId ? String(params.logpointId) : undefined;
+                const snapshotLimit = parseOptionalLimit(params.limit);
+                const snapshots = logpointRegistry.getSnapshots(snapshotLogpointId, snapshotLimit);
+                response.data.snapshots = snapshots;
+                response.data.total = snapshots.length;
+                response.data.query = { logpointId: snapshotLogpointId, limit: snapshotLimit };
+                break;
+            case 'get_errors':
+                const errorWindowMinutes = parseOptionalNumber(params.windowMinutes, 'windowMinutes');
+                const errorLimit = parseOptionalLimit(params.limit);
+                const errorGroupList = errorGroups.list(errorWindowMinutes, errorLimit);
+                response.data.errors = errorGroupList;
+                response.data.total = errorGroupList.length;
+                response.data.query = { windowMinutes: errorWindowMinutes, limit: errorLimit };
+                break;
+            case 'get_inflight':
+                const inflightMinAgeMs = parseOptionalNumber(params.minAgeMs, 'minAgeMs');
+                const inflightLimit = parseOptionalLimit(params.limit);
+                Object.assign(response.data, inflightSpans.list(inflightMinAgeMs, inflightLimit));
+                response.data.query = { minAgeMs: inflightMinAgeMs, limit: inflightLimit };
+                break;
+            case 'get_event_loop':
+                Object.assign(response.data, eventLoopBlocks.report(parseOptionalLimit(params.limit)));
+                break;
+            case 'subscribe':
+                const subscribeRequestId = requestData.request_id;
+                const subscription = spanStream.subscribe(parseSpanQuery(params), {
+                    kind: 'ws',
+                    ready: () => !!wsConnection &&
+                        wsConnection.readyState === ws_1.default.OPEN &&
+                        wsConnection.bufferedAmount < WS_STREAM_MAX_BUFFERED_BYTES,
+                    send: (spans, dropped) => {
+                        // Pushes reuse the subscribe request_id so the proxy can route them back
+                        wsConnection.send(JSON.stringify({
+                            type: 'data_response',
+                            data: {
+                                request_id: subscribeRequestId,
+                                app_id: APP_ID,
+                                success: true,
+                                subscription_id: subscription.id,
+                                spans: spans.map(formatSpan),
+                                dropped,
+                                timestamp: new Date().toISOString()
+                            }
+                        }));
+                    },
+                });
+                response.data.subscription_id = subscription.id;
+                break;
+            case 'unsubscribe':
+                const unsubscribed = spanStream.unsubscribe(String(params.subscriptionId));
+                if (!unsubscribed) {
+                    response.data.success = false;
+                    response.data.error = `Unknown subscription: ${params.subscriptionId}`;
+                }
+                break;
             default:
                 response.data.success = false;
                 response.data.error = `Unknown action: ${action}`;
         }
         response.data.timestamp = new Date().toISOString();
-        wsConnection.send(JSON.stringify(response));
+        // Disk queries are awaited, so the socket may have closed meanwhile
+        if (wsConnection?.readyState === ws_1.default.OPEN)
+            wsConnection.send(JSON.stringify(response));
     }
     catch (error) {
         // Try to extract request_id from incomingData
@@ -953,72 +4043,295 @@ function handleDataRequest(incomingData) {
                 timestamp: new Date().toISOString()
             }
         };
-        wsConnection.send(JSON.stringify(errorResponse));
+        if (wsConnection?.readyState === ws_1.default.OPEN)
+            wsConnection.send(JSON.stringify(errorResponse));
     }
 }
 let instrumentationServerStarted = false;
+function sendRouteError(res, error) {
+    res.status(error instanceof InvalidParamError ? 400 : 500)
+        .json({ success: false, error: error?.message || String(error), timestamp: new Date().toISOString() });
+}
 function startInstrumentationServer() {
     if (instrumentationServerStarted)
         return;
-    const port = process.env.INSTRUMENTATION_PORT ? parseInt(process.env.INSTRUMENTATION_PORT, 10) : 43210;
+    const port = INSTRUMENTATION_PORT;
     const app = (0, express_1.default)();
-    app.get('/remote-debug/spans', (req, res) => {
+    app.get('/remote-debug/spans', async (req, res) => {
         try {
-            const startTime = req.query.startTime ? parseInt(String(req.query.startTime)) : undefined;
-            const endTime = req.query.endTime ? parseInt(String(req.query.endTime)) : undefined;
-            const traceId = req.query.traceId ? String(req.query.traceId) : undefined;
-            const functionName = req.query.functionName ? String(req.query.functionName) : undefined;
-            const limit = req.query.limit ? parseInt(String(req.query.limit)) : undefined;
-            let spans;
-            if (typeof startTime === 'number' && typeof endTime === 'number') {
-                spans = getSpansByTimeRange(startTime, endTime);
-            }
-            else if (traceId) {
-                spans = getSpansByTraceId(traceId);
-            }
-            else if (functionName) {
-                spans = getSpansByFunctionName(functionName);
-            }
-            else {
-                spans = getSpans(limit);
-            }
+            const query = parseSpanQuery(req.query);
+            const page = await findSpans(query);
             res.json({
                 success: true,
                 data: {
-                    spans: spans.map(s => ({
-                        traceId: s.traceId,
-                        spanId: s.spanId,
-                        parentSpanId: s.parentSpanId,
-                        name: s.name,
-                        kind: s.kind,
-                        startTime: new Date(s.startTime / 1000000).toISOString(),
-                        endTime: new Date(s.endTime / 1000000).toISOString(),
-                        durationMs: s.duration / 1000000,
-                        status: s.status,
-                        attributes: s.attributes,
-                        events: s.events,
-                        links: s.links,
-                    })),
-                    total: spans.length,
-                    query: { startTime, endTime, traceId, functionName, limit }
+                    spans: page.spans.map(formatSpan),
+                    total: page.total,
+                    nextCursor: page.nextCursor,
+                    query
                 },
                 metadata: { timestamp: new Date().toISOString(), endpoint: '/remote-debug/spans' },
             });
         }
         catch (error) {
-            res.status(500).json({ success: false, error: error?.message || String(error), timestamp: new Date().toISOString() });
+            sendRouteError(res, error);
         }
     });
-    app.get('/remote-debug/traces', (req, res) => {
+    app.get('/remote-debug/traces', async (req, res) => {
         try {
-            const startTime = req.query.startTime ? parseInt(String(req.query.startTime)) : undefined;
-            const endTime = req.query.endTime ? parseInt(String(req.query.endTime)) : undefined;
-            const limit = req.query.limit ? parseInt(String(req.query.limit)) : undefined;
-            const traces = getTracesWithSpans(startTime, endTime, limit);
+            const startTime = parseOptionalNumber(req.query.startTime, 'startTime');
+            const endTime = parseOptionalNumber(req.query.endTime, 'endTime');
+            const limit = parseOptionalLimit(req.query.limit);
+            const source = parseSpanSource(req.query.source);
+            const traces = await findTraces(startTime, endTime, limit, source);
             res.json(traces);
         }
         catch (error) {
-            res.status(500).json({ success: false, error: error?.message || String(error), timestamp: new Date().toISOString() });
+            sendRouteError(res, error);
+        }
+    });
+    // Nested call tree of one trace; ?format=text returns the indented text rendering
+    app.get('/remote-debug/traces/:traceId/tree', async (req, res) => {
+        try {
+            const traceId = String(req.params.traceId);
+            const source = parseSpanSource(req.query.source);
+            const tree = await getCallTree(traceId, source);
+            if (!tree) {
+                res.status(404).json({ success: false, error: `Trace not found: ${traceId}`, timestamp: new Date().toISOString() });
+                return;
+            }
+            if (req.query.format === 'text') {
+                res.type('text/plain').send(renderCallTree(tree));
+                return;
+            }
+            res.json({
+                success: true,
+                data: { traceId, tree },
+                metadata: { timestamp: new Date().toISOString(), endpoint: '/remote-debug/traces/:traceId/tree' },
+            });
+        }
+        catch (error) {
+            sendRouteError(res, error);
+        }
+    });
+    // Trace converted for external viewers: ?format=chrome|speedscope|otlp-json
+    app.get('/remote-debug/traces/:traceId/export', async (req, res) => {
+        try {
+            const traceId = String(req.params.traceId);
+            const format = parseTraceExportFormat(req.query.format);
+            const exported = await exportTrace(traceId, format, parseSpanSource(req.query.source));
+            if (!exported) {
+                res.status(404).json({ success: false, error: `Trace not found: ${traceId}`, timestamp: new Date().toISOString() });
+                return;
+            }
+            res.setHeader('Content-Disposition', `attachment; filename="trace-${traceId}.${format}.json"`);
+            res.json(exported);
+        }
+        catch (error) {
+            sendRouteError(res, error);
+        }
+    });
+    // Per function.name call counts, error rates and duration percentiles
+    app.get('/remote-debug/functions', (req, res) => {
+        try {
+            const functionName = req.query.functionName ? String(req.query.functionName) : undefined;
+            const limit = parseOptionalLimit(req.query.limit);
+            let functions = getFunctionStats();
+            if (functionName)
+                functions = functions.filter(f => f.functionName === functionName);
+            if (typeof limit === 'number')
+                functions = functions.slice(0, limit);
+            res.json({
+                success: true,
+                data: { functions, total: functions.length, query: { functionName, limit } },
+                metadata: { timestamp: new Date().toISOString(), endpoint: '/remote-debug/functions' },
+            });
+        }
+        catch (error) {
+            sendRouteError(res, error);
+        }
+    });
+    // Wrapped functions and their tracing mode: ?name=<glob>&mode=off|timing|full
+    app.get('/remote-debug/instrumentation', (req, res) => {
+        try {
+            const name = req.query.name ? String(req.query.name) : undefined;
+            const mode = req.query.mode ? parseTracingMode(req.query.mode) : undefined;
+            const functions = listTracedFunctions(name, mode);
+            res.json({
+                success: true,
+                data: { functions, total: functions.length, rules: tracingRules(), query: { name, mode } },
+                metadata: { timestamp: new Date().toISOString(), endpoint: '/remote-debug/instrumentation' },
+            });
+        }
+        catch (error) {
+            sendRouteError(res, error);
+        }
+    });
+    // Switch a function or glob of functions: { "name": "UserService.*", "mode": "timing" } as a
+    // JSON body or query parameters
+    app.post('/remote-debug/instrumentation', express_1.default.json(), (req, res) => {
+        try {
+            const input = { ...req.query, ...(req.body || {}) };
+            if (!input.name) {
+                res.status(400).json({ success: false, error: 'name is required (a function name or glob such as "UserService.*")', timestamp: new Date().toISOString() });
+                return;
+            }
+            const name = String(input.name);
+            const mode = parseTracingMode(input.mode);
+            const matched = setTracingMode(name, mode);
+            res.json({
+                success: true,
+                data: { name, mode, matched, rules: tracingRules() },
+                metadata: { timestamp: new Date().toISOString(), endpoint: '/remote-debug/instrumentation' },
+            });
+        }
+        catch (error) {
+            sendRouteError(res, error);
+        }
+    });
+    app.delete('/remote-debug/instrumentation', (_req, res) => {
+        try {
+            resetTracingModes();
+            res.json({ success: true, message: 'Tracing reset to full for all functions', metadata: { timestamp: new Date().toISOString(), endpoint: '/remote-debug/instrumentation' } });
+        }
+        catch (error) {
+            sendRouteError(res, error);
+        }
+    });
+    app.get('/remote-debug/logpoints', (_req, res) => {
+        try {
+            const logpoints = logpointRegistry.list();
+            res.json({
+                success: true,
+                data: { logpoints, total: logpoints.length },
+                metadata: { timestamp: new Date().toISOString(), endpoint: '/remote-debug/logpoints' },
+            });
+        }
+        catch (error) {
+            sendRouteError(res, error);
+        }
+    });
+    // { "name": "OrderService.charge", "condition": "arg0.amount > 1000", "maxHits": 5,
+    //   "message": "charge {arg0.amount}", "depth": 10, "captureThis": true, "expiresIn": 600 }
+    app.post('/remote-debug/logpoints', express_1.default.json(), (req, res) => {
+        try {
+            const logpoint = logpointRegistry.set({ ...req.query, ...(req.body || {}) });
+            res.json({
+                success: true,
+                data: { logpoint: logpointRegistry.describe(logpoint) },
+                metadata: { timestamp: new Date().toISOString(), endpoint: '/remote-debug/logpoints' },
+            });
+        }
+        catch (error) {
+            sendRouteError(res, error);
+        }
+    });
+    app.delete('/remote-debug/logpoints/:id', (req, res) => {
+        try {
+            const id = String(req.params.id);
+            if (!logpointRegistry.remove(id)) {
+                res.status(404).json({ success: false, error: `Unknown logpoint: ${id}`, timestamp: new Date().toISOString() });
+                return;
+            }
+            res.json({ success: true, message: `Logpoint ${id} removed`, metadata: { timestamp: new Date().toISOString(), endpoint: '/remote-debug/logpoints' } });
+        }
+        catch (error) {
+            sendRouteError(res, error);
+        }
+    });
+    // Captured snapshots, newest first: ?logpointId=lp-1&limit=10
+    app.get('/remote-debug/snapshots', (req, res) => {
+        try {
+            const logpointId = req.query.logpointId ? String(req.query.logpointId) : undefined;
+            const limit = parseOptionalLimit(req.query.limit);
+            const snapshots = logpointRegistry.getSnapshots(logpointId, limit);
+            res.json({
+                success: true,
+                data: { snapshots, total: snapshots.length, query: { logpointId, limit } },
+                metadata: { timestamp: new Date().toISOString(), endpoint: '/remote-debug/snapshots' },
+            });
+        }
+        catch (error) {
+            sendRouteError(res, error);
+        }
+    });
+    // Distinct failures, most recently seen first: ?windowMinutes=60&limit=20
+    app.get('/remote-debug/errors', (req, res) => {
+        try {
+            const windowMinutes = parseOptionalNumber(req.query.windowMinutes, 'windowMinutes');
+            const limit = parseOptionalLimit(req.query.limit);
+            const errors = errorGroups.list(windowMinutes, limit);
+            res.json({
+                success: true,
+                data: { errors, total: errors.length, query: { windowMinutes, limit } },
+                metadata: { timestamp: new Date().toISOString(), endpoint: '/remote-debug/errors' },
+            });
+        }
+        catch (error) {
+            sendRouteError(res, error);
+        }
+    });
+    // Function spans that have started but not ended, oldest first: ?minAgeMs=5000&limit=20
+    app.get('/remote-debug/inflight', (req, res) => {
+        try {
+            const minAgeMs = parseOptionalNumber(req.query.minAgeMs, 'minAgeMs');
+            const limit = parseOptionalLimit(req.query.limit);
+            res.json({
+                success: true,
+                data: { ...inflightSpans.list(minAgeMs, limit), query: { minAgeMs, limit } },
+                metadata: { timestamp: new Date().toISOString(), endpoint: '/remote-debug/inflight' },
+            });
+        }
+        catch (error) {
+            sendRouteError(res, error);
+        }
+    });
+    // Loop delay and the traced functions that blocked the event loop longest: ?limit=20
+    app.get('/remote-debug/event-loop', (req, res) => {
+        try {
+            const limit = parseOptionalLimit(req.query.limit);
+            res.json({
+                success: true,
+                data: eventLoopBlocks.report(limit),
+                metadata: { timestamp: new Date().toISOString(), endpoint: '/remote-debug/event-loop' },
+            });
+        }
+        catch (error) {
+            sendRouteError(res, error);
+        }
+    });
+    // Process and probe metrics plus the state of the SDK, the proxy connection and the span cache
+    app.get('/remote-debug/health', (_req, res) => {
+        try {
+            const stats = getSpanStats();
+            res.json({
+                success: true,
+                data: {
+                    status: 'ok',
+                    runtime: healthMonitor.collect(),
+                    sdk: {
+                        initialized: sdkInitialized,
+                        otlpExporter: otlpSpanProcessor ? OTLP_EXPORTER_URL : null,
+                        autoWrap: AUTO_WRAP,
+                    },
+                    websocket: {
+                        url: probeConfig.proxyWsUrl,
+                        connected: instrumentationConnected,
+                        readyState: wsConnection ? ['connecting', 'open', 'closing', 'closed'][wsConnection.readyState] : 'not_created',
+                        bufferedBytes: wsConnection ? wsConnection.bufferedAmount : 0,
+                    },
+                    cache: {
+                        totalSpans: stats.totalSpans,
+                        totalTraces: stats.totalTraces,
+                        totalFunctions: stats.totalFunctions,
+                        maxSpans: probeConfig.maxCachedSpans,
+                        spanStore: spanStore ? SPAN_STORE_DIR : null,
+                    },
+                },
+                metadata: { timestamp: new Date().toISOString(), endpoint: '/remote-debug/health' },
+            });
+        }
+        catch (error) {
+            sendRouteError(res, error);
         }
     });
     app.get('/remote-debug/spans/stats', (_req, res) => {
@@ -1036,8 +4349,44 @@ function startInstrumentationServer() {
             });
         }
         catch (error) {
-            res.status(500).json({ success: false, error: error?.message || String(error), timestamp: new Date().toISOString() });
+            sendRouteError(res, error);
+        }
+    });
+    // Server-Sent Events stream of spans as they are exported, filtered like /remote-debug/spans
+    app.get('/remote-debug/stream', (req, res) => {
+        let subscription;
+        try {
+            const query = parseSpanQuery(req.query);
+            let draining = false;
+            subscription = spanStream.subscribe(query, {
+                kind: 'sse',
+                ready: () => !draining,
+                send: (spans, dropped) => {
+                    const payload = JSON.stringify({ spans: spans.map(formatSpan), dropped });
+                    if (!res.write(`event: spans\ndata: ${payload}\n\n`)) {
+                        draining = true;
+                        res.once('drain', () => { draining = false; });
+                    }
+                },
+            });
+        }
+        catch (error) {
+            sendRouteError(res, error);
+            return;
         }
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+        });
+        res.write(`event: ready\ndata: ${JSON.stringify({ subscriptionId: subscription.id })}\n\n`);
+        // Comment lines keep proxies from closing an idle stream
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+        // The response closes when the client goes away, whatever state the request is in
+        res.on('close', () => {
+            clearInterval(keepAlive);
+            spanStream.unsubscribe(subscription.id);
+        });
     });
     app.delete('/remote-debug/spans', (_req, res) => {
         try {
@@ -1045,7 +4394,7 @@ function startInstrumentationServer() {
             res.json({ success: true, message: 'Span cache cleared', metadata: { timestamp: new Date().toISOString(), endpoint: '/remote-debug/spans' } });
         }
         catch (error) {
-            res.status(500).json({ success: false, error: error?.message || String(error), timestamp: new Date().toISOString() });
+            sendRouteError(res, error);
         }
     });
     app.listen(port, () => {
@@ -1060,19 +4409,36 @@ function init() {
         return;
     }
     sdkInitialized = true;
+    if (ENABLE_SPAN_STORE) {
+        try {
+            spanStore = new SpanStore(SPAN_STORE_DIR);
+            const restored = spanCache.attachStore(spanStore);
+            debugLog.log(`[DEBUG] Span store enabled at ${SPAN_STORE_DIR}, restored ${restored} spans`);
+        }
+        catch (error) {
+            spanStore = null;
+            debugLog.error('[DEBUG] Failed to open span store:', error);
+        }
+    }
     sdk.start();
     debugLog.log('[DEBUG] OpenTelemetry SDK started');
     // Start connection to proxy server
     connectToProxyServer();
     // Start instrumentation HTTP server
     startInstrumentationServer();
+    // Event loop delay monitoring for /remote-debug/event-loop
+    eventLoopBlocks.start();
+    // CPU, event loop utilization and GC sampling for heartbeats and /remote-debug/health
+    healthMonitor.start();
     // NOTE: wrapRequireCache() and Module.prototype.require hook are disabled
     // because they cause:
     // - HMR loop in development (Webpack conflict)
     // - TypeError: b.C is not a function in production (minification conflict)
     // 
-    // Use the Webpack Loader (probe-loader.js) for function wrapping instead.
+    // Next.js uses the Webpack Loader (probe-loader.js) for function wrapping instead.
     // The Loader only runs in production builds (configured in next.config.ts).
+    // Other Node.js apps get the same transform at load time from installAutoWrap().
+    installAutoWrap();
     debugLog.log('[DEBUG] Instrumentation initialized (Loader-based wrapping in production)');
 }
 // Auto initialize: automatically start when file is loaded via --require or --import
@@ -158,6 +158,8 @@ module.exports = function probeLoader(source) {
                 isGenerator: path.node.generator,
                 isApiHandler,
                 isExported: isExported || parentIsExport,
+                // Passed to wrapUserFunction for code.filepath / code.lineno
+                location: path.node.loc ? `${relativePath}:${path.node.loc.start.line}:${path.node.loc.start.column}` : undefined,
             });
         }
     });
@@ -179,15 +181,16 @@ module.exports = function probeLoader(source) {
         );
 
         // Create wrapped code
+        const locationArg = func.location ? `, ${JSON.stringify(func.location)}` : '';
         let wrappedCode;
         if (func.isApiHandler || func.isExported) {
             // API handlers and other exported functions need to preserve export
             wrappedCode = `${newFunctionCode}
-export const ${func.name} = wrapUserFunction(${internalName}, '${func.name}');`;
+export const ${func.name} = wrapUserFunction(${internalName}, '${func.name}'${locationArg});`;
         } else {
             // Normal functions
             wrappedCode = `${newFunctionCode}
-const ${func.name} = wrapUserFunction(${internalName}, '${func.name}');`;
+const ${func.name} = wrapUserFunction(${internalName}, '${func.name}'${locationArg});`;
         }
 
         s.overwrite(func.start, func.end, wrappedCode);
@@ -5,10 +5,26 @@
  * It uses the OpenTelemetry API to create spans for tracking function execution.
  */
 
-import { trace, context, SpanStatusCode } from '@opentelemetry/api';
+import { trace, context, Context, Span, SpanStatusCode } from '@opentelemetry/api';
 
 const tracer = trace.getTracer('probe-wrapper');
 const WRAPPED = Symbol('probe_wrapped');
+// Registered symbol, so any tool can get from a wrapper back to the original function
+const ORIGINAL = Symbol.for('syncause.original');
+
+/**
+ * Make a wrapper look like the function it wraps to code that introspects it. instrumentation.node.ts
+ * publishes the implementation shared with its own wrappers (static properties, [[Prototype]], prototype,
+ * toString()); before the probe is loaded only the name, the arity (Express error middleware) and the
+ * link back to fn are kept
+ */
+function copyFunctionMetadata(wrapped: Function, fn: Function): void {
+    const copy = (globalThis as any)[Symbol.for('syncause.copyFunctionMetadata')];
+    if (typeof copy === 'function') return copy(wrapped, fn);
+    Object.defineProperty(wrapped, 'name', { value: fn.name, configurable: true });
+    Object.defineProperty(wrapped, 'length', { value: fn.length, configurable: true });
+    Object.defineProperty(wrapped, ORIGINAL, { value: fn });
+}
 
 /**
  * Check if the value is a Promise-like object
@@ -18,77 +34,370 @@ function isPromiseLike(val: any): val is Promise<any> {
 }
 
 /**
- * Convert the value to a string (used for span attributes)
+ * Redaction rules applied to recorded arguments and return values
+ */
+export interface RedactionOptions {
+    /** Object property names to mask at any depth (strings are case-insensitive patterns) */
+    keys?: Array<string | RegExp>;
+    /** Patterns replaced inside every recorded value */
+    valuePatterns?: Array<string | RegExp>;
+    /** Argument indexes (or 'return') never recorded, keyed by span name */
+    argMasks?: Record<string, Array<number | 'return'>>;
+    /** Text recorded in place of a redacted value */
+    marker?: string;
+}
+
+/**
+ * Compiled redaction rules, published by instrumentation.node.ts from syncause.config.json
+ */
+interface RedactionRules {
+    keyPattern: RegExp | null;
+    valuePatterns: RegExp[];
+    argMasks: Map<string, Set<number | 'return'>>;
+    marker: string;
+}
+
+function compileKeyPattern(keys: Array<string | RegExp>): RegExp | null {
+    if (keys.length === 0) return null;
+    return new RegExp(keys.map(k => `(?:${typeof k === 'string' ? k : k.source})`).join('|'), 'i');
+}
+
+/**
+ * Replace the redaction rules; omitted options keep their current value. The rules are shared
+ * with instrumentation.node.ts, so this has no effect before the probe is loaded
+ * @param options - Key patterns, value patterns, per-function argument masks and marker
+ *
+ * @example
+ * ```typescript
+ * configureRedaction({ argMasks: { 'AuthService.login': [1], issueToken: ['return'] } });
+ * ```
+ */
+export function configureRedaction(options: RedactionOptions): void {
+    const rules: RedactionRules | undefined = (globalThis as any)[Symbol.for('syncause.redaction')];
+    if (!rules) return;
+    if (options.keys) rules.keyPattern = compileKeyPattern(options.keys);
+    if (options.valuePatterns) {
+        rules.valuePatterns = options.valuePatterns.map(p =>
+            typeof p === 'string' ? new RegExp(p, 'g') : new RegExp(p.source, p.flags.replace('g', '') + 'g'));
+    }
+    if (options.argMasks) {
+        rules.argMasks = new Map(Object.entries(options.argMasks).map(([name, slots]) => [name, new Set(slots)]));
+    }
+    if (options.marker !== undefined) rules.marker = options.marker;
+}
+
+/**
+ * Bounded, typed preview of a recorded value, built by the serializer of instrumentation.node.ts
+ */
+type ValuePreview = object;
+
+interface ValueRecorder {
+    maxArgs: number;
+    record(span: Span, key: string, spanName: string, slot: number | 'return', v: any): ValuePreview;
+    redact(s: string): string;
+}
+
+/**
+ * Serializer of instrumentation.node.ts, published when it is loaded, so wrapped functions get
+ * the same previews, limits and redaction as the functions it traces. Without it no values are recorded
+ */
+function valueRecorder(): ValueRecorder | undefined {
+    return (globalThis as any)[Symbol.for('syncause.values')];
+}
+
+/**
+ * Record a thrown value on the span. When instrumentation.node.ts is loaded it installs a recorder
+ * that resolves the stack through source maps, drops the wrapper frames and redacts the message
+ */
+function recordException(span: Span, err: any): void {
+    const record = (globalThis as any)[Symbol.for('syncause.recordException')];
+    if (typeof record === 'function') record(span, err);
+    else span.recordException(err);
+}
+
+/**
+ * Status message of a span that ended with err, with the probe's redaction rules applied when it is loaded
+ */
+function errorStatusMessage(err: any): string {
+    const message = String(err?.message || err);
+    return valueRecorder()?.redact(message) ?? message;
+}
+
+interface InflightSpans {
+    start(span: Span, name: string, parentSpanId: string | undefined, args: ValuePreview[]): void;
+    end(spanId: string): void;
+}
+
+/**
+ * Running spans tracked by instrumentation.node.ts when it is loaded, so calls that never
+ * settle show up at /remote-debug/inflight
+ */
+function inflightSpans(): InflightSpans | undefined {
+    return (globalThis as any)[Symbol.for('syncause.inflight')];
+}
+
+interface EventLoopBlocks {
+    enter(): object | null;
+    exit(frame: object | null, span: Span, name: string): void;
+}
+
+/**
+ * Times the synchronous part of traced calls when instrumentation.node.ts is loaded, to attribute
+ * event loop blocking (/remote-debug/event-loop)
+ */
+function eventLoopBlocks(): EventLoopBlocks | undefined {
+    return (globalThis as any)[Symbol.for('syncause.eventLoop')];
+}
+
+interface Logpoints {
+    check(functionName: string, self: any, args: any[], span: Span | undefined): void;
+}
+
+/**
+ * Logpoints set through /remote-debug/logpoints when instrumentation.node.ts is loaded; checked on
+ * entry to every wrapped call, whether it is sync, async or a generator
  */
-function toStr(val: any): string {
-    if (val === undefined) return '';
-    if (val === null) return 'null';
-    if (typeof val === 'string') return val.length > 1000 ? val.slice(0, 1000) + '...' : val;
-    if (typeof val === 'number' || typeof val === 'boolean') return String(val);
-    if (Array.isArray(val)) return `Array(${val.length})`;
-    if (typeof val === 'object') {
+function logpoints(): Logpoints | undefined {
+    return (globalThis as any)[Symbol.for('syncause.logpoints')];
+}
+
+/**
+ * Spans started and time spent before the wrapped function runs, reported by /remote-debug/health
+ * when instrumentation.node.ts is loaded
+ */
+function probeOverhead(): { spans: number; entryMs: number } | undefined {
+    return (globalThis as any)[Symbol.for('syncause.probeOverhead')];
+}
+
+function endSpan(span: Span): void {
+    span.end();
+    inflightSpans()?.end(span.spanContext().spanId);
+}
+
+/**
+ * Check if the value is a generator or async generator object
+ */
+function isGeneratorObject(x: any): boolean {
+    const tag = Object.prototype.toString.call(x);
+    return (tag === '[object Generator]' || tag === '[object AsyncGenerator]') && typeof x.next === 'function';
+}
+
+/**
+ * Keep a generator function's span open while the caller iterates: each next()/return()/throw()
+ * runs inside the span's context, yields are counted, and the span ends when the generator
+ * completes, is closed early or throws. A generator abandoned half-way leaves its span open.
+ */
+function traceGenerator(gen: any, span: Span, ctx: Context, spanName: string, captureValues: boolean): any {
+    const isAsync = Object.prototype.toString.call(gen) === '[object AsyncGenerator]';
+    let yields = 0;
+    let ended = false;
+
+    span.setAttribute('function.generator', isAsync ? 'async_generator' : 'generator');
+
+    const finish = (state: 'completed' | 'returned' | 'error', value?: any, err?: any) => {
+        if (ended) return;
+        ended = true;
+        span.setAttribute('function.generator.yields', yields);
+        span.setAttribute('function.generator.state', state);
+        if (state === 'error') {
+            recordException(span, err);
+            span.setStatus({ code: SpanStatusCode.ERROR, message: errorStatusMessage(err) });
+        } else {
+            if (captureValues) valueRecorder()?.record(span, 'function.return.value', spanName, 'return', value);
+            span.setStatus({ code: SpanStatusCode.OK });
+        }
+        endSpan(span);
+    };
+    const settle = (method: 'next' | 'return' | 'throw', result: IteratorResult<any>) => {
+        if (ended) return result;
+        // return() completes the generator unless a finally block yields again
+        if (result.done) finish(method === 'return' ? 'returned' : 'completed', result.value);
+        else yields++;
+        return result;
+    };
+    const step = (method: 'next' | 'return' | 'throw', arg: any) => {
+        let result: any;
         try {
-            const s = JSON.stringify(val);
-            return s.length > 1000 ? s.slice(0, 1000) + '...' : s;
-        } catch {
-            return '[unserializable]';
+            result = context.with(ctx, () => gen[method](arg));
+        } catch (err: any) {
+            finish('error', undefined, err);
+            throw err;
         }
+        if (!isAsync) return settle(method, result);
+        return result.then(
+            (r: IteratorResult<any>) => settle(method, r),
+            (err: any) => {
+                finish('error', undefined, err);
+                throw err;
+            });
+    };
+
+    // Keep the generator's prototype so instanceof checks and Symbol.iterator keep working
+    const traced = Object.create(Object.getPrototypeOf(gen));
+    traced.next = (arg?: any) => step('next', arg);
+    traced.return = (value?: any) => step('return', value);
+    traced.throw = (err?: any) => step('throw', err);
+    return traced;
+}
+
+type TracingMode = 'off' | 'timing' | 'full';
+
+interface TracedFunction {
+    name: string;
+    functionName: string;
+    type: string;
+    mode: TracingMode;
+    wrappers: number;
+    calls: number;
+    filepath?: string;
+    lineno?: number;
+    column?: number;
+}
+
+interface TracingRegistry {
+    functions: Map<string, TracedFunction>;
+    rules: Array<{ pattern: string; regex: RegExp; mode: TracingMode }>;
+    collisions: Set<string>;
+}
+
+/**
+ * Runtime tracing switches, shared through globalThis with instrumentation.node.ts, whose
+ * /remote-debug/instrumentation endpoints and set_tracing action change the modes: 'off' calls
+ * straight through, 'timing' skips arguments and return values, 'full' is the default
+ */
+const TRACING_REGISTRY_KEY = Symbol.for('syncause.tracing');
+const tracingRegistry: TracingRegistry = (globalThis as any)[TRACING_REGISTRY_KEY] ||
+    ((globalThis as any)[TRACING_REGISTRY_KEY] = { functions: new Map(), rules: [], collisions: new Set() });
+
+function resolveTracingMode(name: string): TracingMode {
+    let mode: TracingMode = 'full';
+    for (const rule of tracingRegistry.rules) {
+        if (rule.regex.test(name)) mode = rule.mode;
     }
-    return String(val);
+    return mode;
+}
+
+/**
+ * Register a wrapper under its span name; the mode comes from the rules set so far. location is
+ * the "path:line:column" passed by probe-loader.js / babel-plugin-probe.js: once the same name
+ * comes from two modules, both are registered (and traced) as "path#name".
+ */
+function registerTracedFunction(name: string, location?: string): TracedFunction {
+    const { functions, collisions } = tracingRegistry;
+    const m = location ? /^(.+?)(?::(\d+))?(?::(\d+))?$/.exec(location) : null;
+    const loc = m ? { filepath: m[1], lineno: m[2] ? Number(m[2]) : undefined, column: m[3] ? Number(m[3]) : undefined } : undefined;
+    let key = loc && collisions.has(name) ? `${loc.filepath}#${name}` : name;
+
+    const existing = functions.get(key);
+    if (existing && loc && existing.filepath && existing.filepath !== loc.filepath) {
+        collisions.add(name);
+        functions.delete(name);
+        existing.name = `${existing.filepath}#${name}`;
+        existing.mode = resolveTracingMode(existing.name);
+        functions.set(existing.name, existing);
+        key = `${loc.filepath}#${name}`;
+    }
+
+    let registered = functions.get(key);
+    if (!registered) {
+        registered = { name: key, functionName: name, type: 'user_function', mode: resolveTracingMode(key), wrappers: 0, calls: 0, ...loc };
+        functions.set(key, registered);
+    }
+    registered.wrappers++;
+    return registered;
 }
 
 /**
  * Wrap a function for tracing
  */
-function wrapFunction(fn: Function, spanName: string): Function {
+function wrapFunction(fn: Function, name: string, location?: string): Function {
     if ((fn as any)[WRAPPED]) return fn;
+    const registered = registerTracedFunction(name, location);
 
     const wrapped = function (this: any, ...args: any[]) {
+        registered.calls++;
+        if (registered.mode === 'off') {
+            logpoints()?.check(registered.name, this, args, undefined);
+            return fn.apply(this, args);
+        }
+        const entryStart = performance.now();
+        const captureValues = registered.mode === 'full';
+        // May become module-qualified after a later registration
+        const spanName = registered.name;
+
+        const parentSpanId = trace.getSpan(context.active())?.spanContext().spanId;
         const span = tracer.startSpan(spanName);
 
         span.setAttribute('function.name', spanName);
         span.setAttribute('function.type', 'user_function');
         span.setAttribute('function.args.count', args.length);
+        if (!captureValues) span.setAttribute('function.tracing.mode', registered.mode);
+        span.setAttribute('code.function', registered.functionName);
+        if (registered.filepath) span.setAttribute('code.filepath', registered.filepath);
+        if (registered.lineno !== undefined) span.setAttribute('code.lineno', registered.lineno);
+        if (registered.column !== undefined) span.setAttribute('code.column', registered.column);
 
-        // Record arguments (up to 10)
-        const maxArgs = Math.min(args.length, 10);
+        // Record arguments (up to the configured maxArgs)
+        const values = captureValues ? valueRecorder() : undefined;
+        const maxArgs = values ? Math.min(args.length, values.maxArgs) : 0;
+        const argPreviews: ValuePreview[] = [];
         for (let i = 0; i < maxArgs; i++) {
-            span.setAttribute(`function.args.${i}`, toStr(args[i]));
+            argPreviews.push(values!.record(span, `function.args.${i}`, spanName, i, args[i]));
+        }
+        logpoints()?.check(spanName, this, args, span);
+        inflightSpans()?.start(span, spanName, parentSpanId, argPreviews);
+
+        const overhead = probeOverhead();
+        if (overhead) {
+            overhead.spans++;
+            overhead.entryMs += performance.now() - entryStart;
         }
 
         const ctx = trace.setSpan(context.active(), span);
 
         try {
-            const res = context.with(ctx, () => fn.apply(this, args));
+            const eventLoop = eventLoopBlocks();
+            const syncFrame = eventLoop ? eventLoop.enter() : null;
+            let res: any;
+            try {
+                res = context.with(ctx, () => fn.apply(this, args));
+            } finally {
+                eventLoop?.exit(syncFrame, span, spanName);
+            }
+
+            if (isGeneratorObject(res)) {
+                return traceGenerator(res, span, ctx, spanName, captureValues);
+            }
 
             if (isPromiseLike(res)) {
                 return res
                     .then((val) => {
-                        span.setAttribute('function.return.value', toStr(val));
+                        if (captureValues) valueRecorder()?.record(span, 'function.return.value', spanName, 'return', val);
                         span.setStatus({ code: SpanStatusCode.OK });
-                        span.end();
+                        endSpan(span);
                         return val;
                     })
                     .catch((err) => {
-                        span.recordException(err);
-                        span.setStatus({ code: SpanStatusCode.ERROR, message: String(err?.message || err) });
-                        span.end();
+                        recordException(span, err);
+                        span.setStatus({ code: SpanStatusCode.ERROR, message: errorStatusMessage(err) });
+                        endSpan(span);
                         throw err;
                     });
             }
 
-            span.setAttribute('function.return.value', toStr(res));
+            if (captureValues) valueRecorder()?.record(span, 'function.return.value', spanName, 'return', res);
             span.setStatus({ code: SpanStatusCode.OK });
-            span.end();
+            endSpan(span);
             return res;
         } catch (err: any) {
-            span.recordException(err);
-            span.setStatus({ code: SpanStatusCode.ERROR, message: String(err?.message || err) });
-            span.end();
+            recordException(span, err);
+            span.setStatus({ code: SpanStatusCode.ERROR, message: errorStatusMessage(err) });
+            endSpan(span);
             throw err;
         }
     };
 
+    copyFunctionMetadata(wrapped, fn);
     (wrapped as any)[WRAPPED] = true;
     return wrapped;
 }
@@ -97,6 +406,7 @@ function wrapFunction(fn: Function, spanName: string): Function {
  * Manually wrap a function for tracing
  * @param fn - The function to wrap
  * @param name - Optional span name (defaults to function name)
+ * @param location - Optional "path:line:column" of the declaration, recorded as code.* attributes
  * @returns The wrapped function
  * 
  * @example
@@ -108,9 +418,20 @@ function wrapFunction(fn: Function, spanName: string): Function {
  * }, 'myFunction');
  * ```
  */
-export function wrapUserFunction<T extends (...args: any[]) => any>(fn: T, name?: string): T {
+export function wrapUserFunction<T extends (...args: any[]) => any>(fn: T, name?: string, location?: string): T {
     const spanName = name || fn.name || 'anonymous';
-    return wrapFunction(fn, spanName) as T;
+    return wrapFunction(fn, spanName, location) as T;
+}
+
+/**
+ * Get the original function behind a traced wrapper
+ * @param fn - A function returned by wrapUserFunction, wrapUserModule or traced
+ * @returns The original function, or fn itself if it is not a wrapper
+ */
+export function unwrap<T extends Function>(fn: T): T {
+    let original: any = fn;
+    while (original && original[ORIGINAL]) original = original[ORIGINAL];
+    return original;
 }
 
 /**
@@ -0,0 +1,234 @@
+const assert = require('assert');
+
+// Runnable checks for the instrumentation HTTP API: node test-instrumentation-api.js
+// Needs the probe's dependencies (see probe_installation_prompt.md). The probe starts on require.
+const PORT = process.env.SYNCAUSE_INSTRUMENTATION_PORT || '43299';
+process.env.SYNCAUSE_INSTRUMENTATION_PORT = PORT;
+process.env.SYNCAUSE_AUTO_WRAP = 'false';
+const probe = require('./instrumentation.node.js');
+
+const BASE = `http://127.0.0.1:${PORT}`;
+
+let failed = 0;
+async function check(name, fn) {
+    try {
+        await fn();
+        console.log('ok -', name);
+    } catch (error) {
+        failed++;
+        console.log('FAILED -', name);
+        console.log(error.message);
+    }
+}
+
+async function get(pathAndQuery) {
+    const res = await fetch(BASE + pathAndQuery);
+    return { status: res.status, body: await res.json() };
+}
+
+async function expectBadRequest(pathAndQuery, message) {
+    const { status, body } = await get(pathAndQuery);
+    assert.strictEqual(status, 400, JSON.stringify(body));
+    assert.strictEqual(body.success, false);
+    assert.match(body.error, message);
+}
+
+async function post(pathAndQuery, body) {
+    const res = await fetch(BASE + pathAndQuery, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+async function waitForServer() {
+    for (let i = 0; i < 50; i++) {
+        try {
+            await fetch(`${BASE}/remote-debug/spans/stats`);
+            return;
+        } catch {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+    throw new Error(`Instrumentation server did not start on port ${PORT}`);
+}
+
+async function spanQueries() {
+    console.log('\n=== Span queries ===\n');
+
+    await check('a well-formed query is answered', async () => {
+        const { status, body } = await get('/remote-debug/spans?status=ok&limit=5&attr.function.name=x&value.0.user.role=admin');
+        assert.strictEqual(status, 200, JSON.stringify(body));
+        assert.ok(Array.isArray(body.data.spans));
+    });
+
+    await check('an unknown status is rejected', () =>
+        expectBadRequest('/remote-debug/spans?status=failed', /^Invalid status: failed/));
+
+    await check('a cursor that is not base64url JSON is rejected', () =>
+        expectBadRequest('/remote-debug/spans?cursor=not-a-cursor', /^Invalid cursor: not-a-cursor/));
+
+    await check('a cursor without a start time and span id is rejected', async () => {
+        const cursor = Buffer.from(JSON.stringify({ t: 'soon' })).toString('base64url');
+        await expectBadRequest(`/remote-debug/spans?cursor=${cursor}`, /^Invalid cursor/);
+    });
+
+    await check('a value filter on something other than an argument or the return value is rejected', () =>
+        expectBadRequest('/remote-debug/spans?value.self.name=x', /^Invalid value filter: value\.self\.name/));
+
+    await check('non-numeric limits, times and durations are rejected', async () => {
+        await expectBadRequest('/remote-debug/spans?limit=ten', /^Invalid limit: ten/);
+        await expectBadRequest('/remote-debug/spans?startTime=yesterday', /^Invalid startTime: yesterday/);
+        await expectBadRequest('/remote-debug/spans?minDurationMs=slow', /^Invalid minDurationMs: slow/);
+        await expectBadRequest('/remote-debug/traces?limit=ten', /^Invalid limit: ten/);
+    });
+}
+
+// Sets a logpoint on `name`, makes the calls and returns the snapshots it captured, oldest first
+async function captureWith(logpoint, name, calls) {
+    const { status, body } = await post('/remote-debug/logpoints', { name, maxHits: 100, ...logpoint });
+    assert.strictEqual(status, 200, JSON.stringify(body));
+    const id = body.data.logpoint.id;
+    const fn = probe.wrapUserFunction(function (...args) { return args.length; }, name);
+    for (const args of calls) fn(...args);
+    const snapshots = (await get(`/remote-debug/snapshots?logpointId=${id}`)).body.data.snapshots;
+    await fetch(`${BASE}/remote-debug/logpoints/${id}`, { method: 'DELETE' });
+    return snapshots.reverse();
+}
+
+async function logpoints() {
+    console.log('\n=== Logpoint conditions ===\n');
+
+    await check('malformed conditions are rejected with the position of the problem', async () => {
+        const cases = [
+            ['arg0.amount >', /^Expected a value but found end of expression/],
+            ['arg0 @ 1', /^Unexpected character at 5/],
+            ['arg0.', /^Expected a property name/],
+            ['(arg0 > 1', /^Expected "\)"/],
+            ['arg0 arg1', /^Expected end of expression but found "arg1" at 5/],
+            ['process.exit', /^Unknown name "process" at 0/],
+        ];
+        for (const [condition, message] of cases) {
+            const { status, body } = await post('/remote-debug/logpoints', { name: 'Orders.charge', condition });
+            assert.strictEqual(status, 400, `${condition}: ${JSON.stringify(body)}`);
+            assert.match(body.error, message, condition);
+        }
+    });
+
+    await check('a malformed message placeholder or hit count is rejected', async () => {
+        let res = await post('/remote-debug/logpoints', { name: 'Orders.charge', message: 'total {arg0.}' });
+        assert.strictEqual(res.status, 400, JSON.stringify(res.body));
+        res = await post('/remote-debug/logpoints', { name: 'Orders.charge', maxHits: 0 });
+        assert.strictEqual(res.status, 400, JSON.stringify(res.body));
+        assert.match(res.body.error, /^maxHits must be an integer/);
+    });
+
+    await check('property access, comparisons and && select the calls to capture', async () => {
+        const snapshots = await captureWith(
+            { condition: 'arg0.amount > 1000 && arg0["currency"] == \'EUR\'', message: 'charge {arg0.amount} {arg0.currency}' },
+            'Orders.charge',
+            [[{ amount: 5000, currency: 'EUR' }], [{ amount: 50, currency: 'EUR' }], [{ amount: 5000, currency: 'USD' }], [{ amount: 1001, currency: 'EUR' }]],
+        );
+        assert.deepStrictEqual(snapshots.map(s => s.message), ['charge 5000 EUR', 'charge 1001 EUR']);
+    });
+
+    await check('== is strict except for null and undefined', async () => {
+        const snapshots = await captureWith({ condition: 'arg0 == 1 || arg1 == null', message: '{args.length}' },
+            'Orders.strict', [[1, 0], ['1', 0], [2], [2, null], [true, 0]]);
+        assert.deepStrictEqual(snapshots.map(s => s.message), ['2', '1', '2']);
+    });
+
+    await check('< and > only compare two numbers or two strings', async () => {
+        const snapshots = await captureWith({ condition: 'arg0 < 10', message: '{arg0}' },
+            'Orders.compare', [[5], ['5'], [[5]], [null], [-1]]);
+        assert.deepStrictEqual(snapshots.map(s => s.message), ['5', '-1']);
+    });
+
+    await check('conditions read data properties only: getters and prototype properties are undefined', async () => {
+        const order = { get total() { return 1; } };
+        const snapshots = await captureWith({ condition: 'arg0.total == undefined && arg0.constructor == undefined' },
+            'Orders.getter', [[order]]);
+        assert.strictEqual(snapshots.length, 1);
+    });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Spans reach the cache through the SDK's batch processor, so a finished trace shows up after a few seconds
+async function waitForTrace(rootName) {
+    for (let i = 0; i < 100; i++) {
+        const trace = probe.getTracesWithSpans().find(t => t.spans.some(s => s.name === rootName));
+        if (trace && trace.spans.length === 3) return trace.traceId;
+        await sleep(100);
+    }
+    throw new Error(`No trace for ${rootName}`);
+}
+
+async function traceExports() {
+    console.log('\n=== Trace exports ===\n');
+
+    // save() starts while load() is still pending and ends after it: the two overlap,
+    // so save() cannot nest under load() and needs a second lane
+    const load = probe.wrapUserFunction(async function load() { await sleep(30); }, 'Orders.load');
+    const save = probe.wrapUserFunction(async function save() { await sleep(40); }, 'Orders.save');
+    const handle = probe.wrapUserFunction(async function handle() {
+        const loading = load();
+        await sleep(10);
+        await Promise.all([loading, save()]);
+    }, 'Orders.handle');
+    await handle();
+    let traceId;
+
+    await check('the finished trace reaches the span cache', async () => {
+        traceId = await waitForTrace('Orders.handle');
+    });
+
+    await check('chrome: nested spans share a lane, overlapping siblings get their own', async () => {
+        const { status, body } = await get(`/remote-debug/traces/${traceId}/export?format=chrome`);
+        assert.strictEqual(status, 200, JSON.stringify(body));
+        const tid = name => body.traceEvents.find(e => e.name === name).tid;
+        assert.strictEqual(tid('Orders.handle'), 1);
+        assert.strictEqual(tid('Orders.load'), 1);
+        assert.strictEqual(tid('Orders.save'), 2);
+        const loadEvent = body.traceEvents.find(e => e.name === 'Orders.load');
+        assert.ok(loadEvent.dur >= 25000, `load lasted ${loadEvent.dur}us`);
+    });
+
+    await check('speedscope: one balanced evented profile per lane', async () => {
+        const { body } = await get(`/remote-debug/traces/${traceId}/export?format=speedscope`);
+        assert.deepStrictEqual(body.profiles.map(p => p.name), [`${traceId} (lane 1)`, `${traceId} (lane 2)`]);
+        for (const profile of body.profiles) {
+            const stack = [];
+            for (const e of profile.events) {
+                if (e.type === 'O') stack.push(e.frame);
+                else assert.strictEqual(stack.pop(), e.frame, `unbalanced close in ${profile.name}`);
+            }
+            assert.strictEqual(stack.length, 0);
+        }
+    });
+
+    await check('otlp-json: every span, with nanosecond times', async () => {
+        const { body } = await get(`/remote-debug/traces/${traceId}/export?format=otlp-json`);
+        const spans = body.resourceSpans[0].scopeSpans.flatMap(scope => scope.spans);
+        assert.strictEqual(spans.length, 3);
+        assert.ok(spans.every(s => /^\d+$/.test(s.startTimeUnixNano) && BigInt(s.endTimeUnixNano) > BigInt(s.startTimeUnixNano)));
+    });
+
+    await check('unknown formats and traces are rejected', async () => {
+        await expectBadRequest(`/remote-debug/traces/${traceId}/export?format=pprof`, /^Invalid format: pprof/);
+        assert.strictEqual((await get('/remote-debug/traces/missing/export?format=chrome')).status, 404);
+    });
+}
+
+async function main() {
+    await waitForServer();
+    await spanQueries();
+    await logpoints();
+    await traceExports();
+    console.log(failed ? `\n${failed} check(s) failed\n` : '\nAll checks passed\n');
+    // The probe keeps its server and proxy connection open
+    process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,110 @@
+const assert = require('assert');
+const { convertSpans } = require('./test-probe-runtime');
+
+// Runnable checks for the trace export converters: node test-probe-export.js
+let failed = 0;
+function check(name, fn) {
+    try {
+        fn();
+        console.log('ok -', name);
+    } catch (error) {
+        failed++;
+        console.log('FAILED -', name);
+        console.log(error.message);
+    }
+}
+
+function span(spanId, parentSpanId, name, startTime, endTime, traceId = 'trace-a') {
+    return {
+        traceId, spanId, parentSpanId, name,
+        location: `app.js:${startTime}`,
+        startTime, endTime, duration: endTime - startTime,
+        status: 'ok', args: ['1'],
+    };
+}
+
+// handle() calls load() and, while it is still pending, save(): the two overlap,
+// so save() cannot nest under load() and needs a second lane
+const spans = [
+    span('s1', undefined, 'handle', 0, 100),
+    span('s2', 's1', 'load', 10, 60),
+    span('s3', 's1', 'save', 40, 90),
+    span('s4', 's2', 'parse', 20, 30),
+    span('t1', undefined, 'other', 0, 5, 'trace-b'),
+];
+
+console.log('\n=== Chrome Trace Event Format ===\n');
+
+check('one process per trace, named after the trace id', () => {
+    const { traceEvents } = convertSpans(spans, 'chrome');
+    const processes = traceEvents.filter(e => e.ph === 'M');
+    assert.deepStrictEqual(processes.map(e => e.args.name), ['trace-a', 'trace-b']);
+});
+
+check('complete events in microseconds with the span attributes', () => {
+    const { traceEvents } = convertSpans(spans, 'chrome');
+    const load = traceEvents.find(e => e.name === 'load');
+    assert.strictEqual(load.ph, 'X');
+    assert.strictEqual(load.ts, 10000);
+    assert.strictEqual(load.dur, 50000);
+    assert.strictEqual(load.args.parentSpanId, 's1');
+    assert.strictEqual(load.args['function.args.0'], '1');
+});
+
+check('nested spans share a lane, overlapping siblings get their own', () => {
+    const { traceEvents } = convertSpans(spans, 'chrome');
+    const tid = name => traceEvents.find(e => e.name === name).tid;
+    assert.strictEqual(tid('handle'), 1);
+    assert.strictEqual(tid('load'), 1);
+    assert.strictEqual(tid('parse'), 1);
+    assert.strictEqual(tid('save'), 2);
+    assert.strictEqual(tid('other'), 1);
+});
+
+console.log('\n=== speedscope ===\n');
+
+check('one evented profile per trace and lane', () => {
+    const doc = convertSpans(spans, 'speedscope');
+    assert.deepStrictEqual(doc.profiles.map(p => p.name), ['trace-a (lane 1)', 'trace-a (lane 2)', 'trace-b']);
+    assert.ok(doc.profiles.every(p => p.type === 'evented' && p.unit === 'milliseconds'));
+});
+
+check('frames are shared and events open and close in stack order', () => {
+    const doc = convertSpans(spans, 'speedscope');
+    const frameName = i => doc.shared.frames[i].name;
+    for (const profile of doc.profiles) {
+        const stack = [];
+        let last = -Infinity;
+        for (const e of profile.events) {
+            assert.ok(e.at >= last, `events out of order in ${profile.name}`);
+            last = e.at;
+            if (e.type === 'O') stack.push(e.frame);
+            else assert.strictEqual(stack.pop(), e.frame, `unbalanced close in ${profile.name}`);
+        }
+        assert.strictEqual(stack.length, 0);
+        assert.strictEqual(profile.startValue, profile.events[0].at);
+        assert.strictEqual(profile.endValue, profile.events[profile.events.length - 1].at);
+    }
+    const lane1 = doc.profiles[0].events.map(e => `${e.type}:${frameName(e.frame)}`);
+    assert.deepStrictEqual(lane1, ['O:handle', 'O:load', 'O:parse', 'C:parse', 'C:load', 'C:handle']);
+});
+
+console.log('\n=== OTLP JSON ===\n');
+
+check('ids are hex, parents resolved and times in nanoseconds', () => {
+    const doc = convertSpans(spans, 'otlp-json');
+    const out = doc.resourceSpans[0].scopeSpans[0].spans;
+    assert.strictEqual(out.length, spans.length);
+    assert.ok(out.every(s => /^[0-9a-f]{32}$/.test(s.traceId) && /^[0-9a-f]{16}$/.test(s.spanId)));
+    const byName = name => out.find(s => s.name === name);
+    assert.strictEqual(byName('load').parentSpanId, byName('handle').spanId);
+    assert.strictEqual(byName('handle').parentSpanId, '');
+    assert.strictEqual(byName('load').startTimeUnixNano, '10000000');
+});
+
+check('unknown formats are rejected', () => {
+    assert.throws(() => convertSpans(spans, 'pprof'), /Unknown export format: pprof/);
+});
+
+console.log(failed ? `\n${failed} check(s) failed\n` : '\nAll checks passed\n');
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { __probe_wrap, getSpans, clearSpans, configureRedaction } = require('./test-probe-runtime');
+
+// Runnable checks for configureRedaction: node test-probe-redaction.js
+// Wrapped calls append to .syncause/span.log in the working directory, so run them elsewhere
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'probe-redaction-')));
+
+let failed = 0;
+function check(name, fn) {
+    try {
+        clearSpans();
+        fn();
+        console.log('ok -', name);
+    } catch (error) {
+        failed++;
+        console.log('FAILED -', name);
+        console.log(error.message);
+    }
+}
+
+function record(name, fn, ...args) {
+    __probe_wrap(fn, name, 'test-probe-redaction.js')(...args);
+    return getSpans().find(s => s.name === name);
+}
+
+console.log('\n=== Default rules ===\n');
+
+check('secret-looking keys are masked at any depth', () => {
+    const span = record('login', () => true, { user: 'ada', password: 'hunter2', nested: { apiKey: 'k-123' } });
+    assert.ok(!span.args[0].includes('hunter2'), span.args[0]);
+    assert.ok(!span.args[0].includes('k-123'), span.args[0]);
+    assert.ok(span.args[0].includes('ada'), span.args[0]);
+    assert.ok(span.args[0].includes('[REDACTED]'), span.args[0]);
+});
+
+check('tokens and email addresses are masked inside strings', () => {
+    const span = record('notify', () => 'sent to ada@example.com', 'Bearer abc.def.ghi');
+    assert.ok(!span.args[0].includes('abc.def.ghi'), span.args[0]);
+    assert.ok(!span.returnValue.includes('ada@example.com'), span.returnValue);
+});
+
+console.log('\n=== configureRedaction ===\n');
+
+check('keys replace the default key list', () => {
+    configureRedaction({ keys: ['ssn', /^pin$/] });
+    const span = record('verify', () => true, { pin: '1234', password: 'visible', ssn: '078-05-1120' });
+    assert.ok(!span.args[0].includes('1234'), span.args[0]);
+    assert.ok(!span.args[0].includes('078-05-1120'), span.args[0]);
+    assert.ok(span.args[0].includes('visible'), span.args[0]);
+});
+
+check('value patterns given as strings or regexps replace every match', () => {
+    configureRedaction({ valuePatterns: ['ORD-\\d+', /acct_[a-z]+/] });
+    const span = record('refund', () => true, 'ORD-1 ORD-22 for acct_abc');
+    assert.strictEqual(span.args[0], '[REDACTED] [REDACTED] for [REDACTED]');
+});
+
+check('argMasks drop whole arguments and return values of one function', () => {
+    configureRedaction({ argMasks: { issueToken: [1, 'return'] } });
+    const span = record('issueToken', () => 'tok', 'ada', 'hunter2');
+    assert.ok(span.args[0].includes('ada'), span.args[0]);
+    assert.ok(!span.args[1].includes('hunter2'), span.args[1]);
+    assert.ok(!span.returnValue.includes('tok'), span.returnValue);
+    const other = record('issueOther', () => 'tok', 'ada', 'hunter2');
+    assert.ok(other.args[1].includes('hunter2'), other.args[1]);
+});
+
+check('marker changes the replacement text and omitted options are kept', () => {
+    configureRedaction({ marker: '***' });
+    const span = record('refundAgain', () => true, 'ORD-7', { pin: '1234' });
+    assert.strictEqual(span.args[0], '***');
+    assert.ok(span.args[1].includes('***') && !span.args[1].includes('1234'), span.args[1]);
+});
+
+check('empty lists turn key and value redaction off', () => {
+    configureRedaction({ keys: [], valuePatterns: [] });
+    const span = record('plain', () => true, { password: 'hunter2' }, 'ada@example.com');
+    assert.ok(span.args[0].includes('hunter2'), span.args[0]);
+    assert.ok(span.args[1].includes('ada@example.com'), span.args[1]);
+});
+
+console.log(failed ? `\n${failed} check(s) failed\n` : '\nAll checks passed\n');
+process.exitCode = failed ? 1 : 0;
@@ -1,5 +1,41 @@
 const WRAPPED = Symbol('probe_wrapped');
 
+// Registered symbol, so any tool can get from a wrapper back to the original function
+const ORIGINAL = Symbol.for('syncause.original');
+
+// FUNCTION_KIND_PROTOTYPES and copyFunctionMetadata mirror the implementation in instrumentation.node.ts,
+// which probe-wrapper.ts shares; this file runs without the probe, so it needs its own copy
+// Prototypes of async, generator and async generator functions
+const FUNCTION_KIND_PROTOTYPES = new Set<object>([
+    Object.getPrototypeOf(async function () { }),
+    Object.getPrototypeOf(function* () { }),
+    Object.getPrototypeOf(async function* () { }),
+]);
+
+// Make a wrapper look like the function it wraps to code that introspects it: arity,
+// static properties, [[Prototype]] (except the async/generator kind), prototype and toString()
+function copyFunctionMetadata(wrapped: Function, fn: Function): void {
+    // Class hierarchies (static inheritance) carry over, but a plain wrapper must not report the
+    // async/generator kind of fn through its constructor or Symbol.toStringTag
+    const proto = Object.getPrototypeOf(fn);
+    if (!FUNCTION_KIND_PROTOTYPES.has(proto)) Object.setPrototypeOf(wrapped, proto);
+    Object.defineProperty(wrapped, 'toString', {
+        value: function toString() { return fn.toString(); },
+        writable: true,
+        configurable: true,
+    });
+    for (const key of Reflect.ownKeys(fn)) {
+        // Legacy properties of sloppy-mode functions
+        if (key === 'arguments' || key === 'caller') continue;
+        try {
+            Object.defineProperty(wrapped, key, Object.getOwnPropertyDescriptor(fn, key)!);
+        } catch {
+            // Keep the wrapper's own value if it cannot be redefined
+        }
+    }
+    Object.defineProperty(wrapped, ORIGINAL, { value: fn });
+}
+
 interface CallStackEntry {
     spanId: string;
     functionName: string;
@@ -22,6 +58,9 @@ interface SpanRecord {
     errorMessage?: string;
     args: string[];
     returnValue?: string;
+    // Structured previews of container arguments (by index) and return value
+    argPreviews?: Record<number, ValuePreview>;
+    returnPreview?: ValuePreview;
     callerName?: string;
 }
 
@@ -35,22 +74,283 @@ function generateId(): string {
         Math.random().toString(36).substring(2, 15);
 }
 
-function toStr(val: any): string {
-    if (val === undefined) return '';
-    if (val === null) return 'null';
-    if (typeof val === 'string') return val.length > 500 ? val.slice(0, 500) + '...' : val;
-    if (typeof val === 'number' || typeof val === 'boolean') return String(val);
-    if (typeof val === 'function') return `[Function ${val.name || 'anonymous'}]`;
-    if (Array.isArray(val)) return `Array(${val.length})`;
-    if (typeof val === 'object') {
-        try {
-            const s = JSON.stringify(val);
-            return s.length > 500 ? s.slice(0, 500) + '...' : s;
-        } catch {
-            return '[unserializable]';
+// This runtime is downloaded as a single file and runs without the probe, so it keeps its own copy of
+// the redaction rules and the value preview serializer. Keep them in sync with the shared serializer in
+// instrumentation.node.ts (Redaction and Value previews sections).
+export interface RedactionOptions {
+    /** Object property names to mask at any depth (strings are case-insensitive patterns) */
+    keys?: Array<string | RegExp>;
+    /** Patterns replaced inside every recorded value */
+    valuePatterns?: Array<string | RegExp>;
+    /** Argument indexes (or 'return') never recorded, keyed by function name */
+    argMasks?: Record<string, Array<number | 'return'>>;
+    /** Text recorded in place of a redacted value */
+    marker?: string;
+}
+
+const DEFAULT_REDACT_KEYS = [
+    'passw(or)?d', 'pwd', 'secret', 'token', 'authorization', 'api[-_]?key', 'cookie',
+    'credential', 'private[-_]?key', 'card[-_]?number', 'cvv', 'cvc', 'ssn',
+];
+
+// JWTs, bearer tokens, card numbers and email addresses
+const DEFAULT_REDACT_VALUE_PATTERNS = [
+    /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+    /\bBearer\s+[A-Za-z0-9._~+/-]+=*/g,
+    /\b(?:4\d{3}|5[1-5]\d{2}|6(?:011|5\d{2}))(?:[ -]?\d{4}){3}\b/g,
+    /\b3[47]\d{2}[ -]?\d{6}[ -]?\d{5}\b/g,
+    /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+];
+
+let redactionMarker = '[REDACTED]';
+let redactKeyPattern: RegExp | null = compileKeyPattern(DEFAULT_REDACT_KEYS);
+let redactValuePatterns: RegExp[] = DEFAULT_REDACT_VALUE_PATTERNS;
+let redactArgMasks = new Map<string, Set<number | 'return'>>();
+
+function compileKeyPattern(keys: Array<string | RegExp>): RegExp | null {
+    if (keys.length === 0) return null;
+    return new RegExp(keys.map(k => `(?:${typeof k === 'string' ? k : k.source})`).join('|'), 'i');
+}
+
+function isRedactedKey(key: string): boolean {
+    return !!key && !!redactKeyPattern && redactKeyPattern.test(key);
+}
+
+function redactString(s: string): string {
+    for (const pattern of redactValuePatterns) {
+        s = s.replace(pattern, redactionMarker);
+    }
+    return s;
+}
+
+/**
+ * Replace the redaction rules applied to recorded arguments and return values;
+ * omitted options keep their current value
+ */
+export function configureRedaction(options: RedactionOptions): void {
+    if (options.keys) redactKeyPattern = compileKeyPattern(options.keys);
+    if (options.valuePatterns) {
+        redactValuePatterns = options.valuePatterns.map(p =>
+            typeof p === 'string' ? new RegExp(p, 'g') : new RegExp(p.source, p.flags.replace('g', '') + 'g'));
+    }
+    if (options.argMasks) {
+        redactArgMasks = new Map(Object.entries(options.argMasks).map(([name, slots]) => [name, new Set(slots)]));
+    }
+    if (options.marker !== undefined) redactionMarker = options.marker;
+}
+
+// Bounded, typed preview of an argument or return value: objects keep their class name,
+// containers keep their size and first entries, and anything cut by a budget is marked `truncated`.
+// Containers are kept in structured form next to the rendered string.
+export interface ValuePreview {
+    type: 'undefined' | 'null' | 'string' | 'number' | 'boolean' | 'bigint' | 'symbol' | 'function' |
+        'object' | 'array' | 'map' | 'set' | 'date' | 'regexp' | 'error' | 'buffer' | 'typedarray' |
+        'promise' | 'circular' | 'redacted' | 'unserializable';
+    className?: string;
+    value?: string | number | boolean;
+    // Length of arrays, strings and buffers, size of maps and sets, key count of objects
+    size?: number;
+    props?: Record<string, ValuePreview>;
+    items?: ValuePreview[];
+    entries?: Array<[ValuePreview, ValuePreview]>;
+    truncated?: true;
+}
+
+const PREVIEW_MAX_DEPTH = 3;
+const PREVIEW_MAX_ITEMS = 20;
+const PREVIEW_MAX_STRING_LENGTH = 200;
+// Total number of nodes in one preview, on top of the depth and per-container budgets
+const PREVIEW_MAX_NODES = 500;
+const MAX_VALUE_LENGTH = 500;
+const STRUCTURED_PREVIEW_TYPES = new Set<ValuePreview['type']>(['object', 'array', 'map', 'set', 'error', 'buffer', 'typedarray']);
+
+interface PreviewBudget {
+    nodes: number;
+    // Objects on the current path, to detect cycles without flagging shared references
+    ancestors: Set<object>;
+}
+
+function previewValue(v: any): ValuePreview {
+    try {
+        return previewNode(v, 0, { nodes: PREVIEW_MAX_NODES, ancestors: new Set() });
+    } catch {
+        return { type: 'unserializable' };
+    }
+}
+
+// Only recorded when it says more than the preview type does
+const BUILTIN_CLASS_NAMES = new Set(['Object', 'Array', 'Map', 'Set', 'Promise']);
+
+function getClassName(v: object): string | undefined {
+    const name = Object.getPrototypeOf(v)?.constructor?.name;
+    return name && !BUILTIN_CLASS_NAMES.has(name) ? name : undefined;
+}
+
+function previewNode(v: any, depth: number, budget: PreviewBudget): ValuePreview {
+    budget.nodes--;
+    switch (typeof v) {
+        case 'undefined': return { type: 'undefined' };
+        case 'string': {
+            // Top-level strings get the full value budget, nested ones the preview budget
+            const limit = depth === 0 ? MAX_VALUE_LENGTH : PREVIEW_MAX_STRING_LENGTH;
+            const s = redactString(v);
+            return s.length > limit ? { type: 'string', value: s.slice(0, limit), size: s.length, truncated: true } : { type: 'string', value: s };
+        }
+        // NaN and Infinity do not survive JSON, so keep them as text
+        case 'number': return { type: 'number', value: Number.isFinite(v) ? v : String(v) };
+        case 'boolean': return { type: 'boolean', value: v };
+        case 'bigint': return { type: 'bigint', value: v.toString() };
+        case 'symbol': return { type: 'symbol', value: v.toString() };
+        case 'function': return { type: 'function', value: v.name || 'anonymous' };
+    }
+    if (v === null) return { type: 'null' };
+    if (budget.ancestors.has(v)) return { type: 'circular' };
+
+    const className = getClassName(v);
+    if (v instanceof Date) return { type: 'date', value: isNaN(v.getTime()) ? 'Invalid Date' : v.toISOString() };
+    if (v instanceof RegExp) return { type: 'regexp', value: String(v) };
+    if (isPromiseLike(v)) return { type: 'promise', className };
+    if (typeof Buffer !== 'undefined' && Buffer.isBuffer(v)) return previewBytes('buffer', undefined, v);
+    if (ArrayBuffer.isView(v) && !(v instanceof DataView)) return previewBytes('typedarray', className, v as any);
+
+    const isError = v instanceof Error;
+    const type: ValuePreview['type'] = isError ? 'error' : Array.isArray(v) ? 'array' : v instanceof Map ? 'map' : v instanceof Set ? 'set' : 'object';
+    const preview: ValuePreview = { type, className };
+    if (isError) preview.value = redactString(`${v.name}: ${v.message}`);
+
+    // Objects that know how to serialize themselves (URL, Decimal, ObjectId...) are previewed that way
+    if (type === 'object' && typeof v.toJSON === 'function') {
+        const json = v.toJSON();
+        if (json !== v) return { ...previewNode(json, depth, budget), className };
+    }
+
+    const keys = type === 'object' || type === 'error' ? Object.keys(v) : [];
+    const size = type === 'array' ? v.length : type === 'map' || type === 'set' ? v.size : keys.length;
+    if (type !== 'object' || size > PREVIEW_MAX_ITEMS) preview.size = size;
+    if (size === 0) return preview;
+    if (depth >= PREVIEW_MAX_DEPTH || budget.nodes <= 0) {
+        preview.truncated = true;
+        return preview;
+    }
+
+    budget.ancestors.add(v);
+    let taken = 0;
+    const hasRoom = () => taken < PREVIEW_MAX_ITEMS && budget.nodes > 0;
+    if (type === 'array') {
+        preview.items = [];
+        for (; taken < v.length && hasRoom(); taken++) preview.items.push(previewNode(v[taken], depth + 1, budget));
+    } else if (type === 'set') {
+        preview.items = [];
+        for (const item of v) {
+            if (!hasRoom()) break;
+            preview.items.push(previewNode(item, depth + 1, budget));
+            taken++;
+        }
+    } else if (type === 'map') {
+        preview.entries = [];
+        for (const [key, value] of v) {
+            if (!hasRoom()) break;
+            const keyPreview = previewNode(key, depth + 1, budget);
+            const redacted = typeof key === 'string' && isRedactedKey(key);
+            preview.entries.push([keyPreview, redacted ? { type: 'redacted' } : previewNode(value, depth + 1, budget)]);
+            taken++;
+        }
+    } else {
+        preview.props = {};
+        for (const key of keys) {
+            if (!hasRoom()) break;
+            let child: ValuePreview;
+            try {
+                child = isRedactedKey(key) ? { type: 'redacted' } : previewNode(v[key], depth + 1, budget);
+            } catch {
+                // Throwing getters
+                child = { type: 'unserializable' };
+            }
+            preview.props[key] = child;
+            taken++;
+        }
+    }
+    budget.ancestors.delete(v);
+
+    if (taken < size) preview.truncated = true;
+    return preview;
+}
+
+function previewBytes(type: 'buffer' | 'typedarray', className: string | undefined, bytes: ArrayLike<number>): ValuePreview {
+    const count = Math.min(bytes.length, PREVIEW_MAX_ITEMS);
+    const items: ValuePreview[] = [];
+    for (let i = 0; i < count; i++) items.push({ type: 'number', value: Number(bytes[i]) });
+    const preview: ValuePreview = { type, className, size: bytes.length, items };
+    if (count < bytes.length) preview.truncated = true;
+    return preview;
+}
+
+// Top-level strings are rendered verbatim
+function renderPreview(p: ValuePreview, nested = false): string {
+    const more = (shown: number) => p.truncated ? (p.size !== undefined && p.size > shown ? `... ${p.size - shown} more` : '...') : '';
+    const list = (parts: string[], shown: number) => {
+        const tail = more(shown);
+        return (tail ? [...parts, tail] : parts).join(', ');
+    };
+
+    switch (p.type) {
+        case 'undefined': return nested ? 'undefined' : '';
+        case 'null': return 'null';
+        case 'string': {
+            const s = p.truncated ? `${p.value}...` : String(p.value);
+            // Objects previewed through toJSON keep their class, e.g. URL("https://...")
+            if (p.className) return `${p.className}(${JSON.stringify(s)})`;
+            return nested ? JSON.stringify(s) : s;
+        }
+        case 'number':
+        case 'boolean':
+        case 'symbol':
+        case 'regexp': return String(p.value);
+        case 'bigint': return `${p.value}n`;
+        case 'function': return `[Function ${p.value}]`;
+        case 'date': return `Date(${p.value})`;
+        case 'promise': return p.className || 'Promise';
+        case 'circular': return '[Circular]';
+        case 'redacted': return redactionMarker;
+        case 'unserializable': return '[unserializable]';
+        case 'buffer':
+        case 'typedarray': {
+            const items = p.items || [];
+            return `${p.className || 'Buffer'}(${p.size}) [${list(items.map(i => String(i.value)), items.length)}]`;
+        }
+        case 'array': {
+            const items = p.items || [];
+            if (!p.items && p.truncated) return `${p.className || 'Array'}(${p.size})`;
+            return `${p.className ? p.className + ' ' : ''}[${list(items.map(i => renderPreview(i, true)), items.length)}]`;
+        }
+        case 'map':
+        case 'set': {
+            const label = `${p.className || (p.type === 'map' ? 'Map' : 'Set')}(${p.size})`;
+            const parts = p.type === 'map'
+                ? (p.entries || []).map(([k, v]) => `${renderPreview(k, true)} => ${renderPreview(v, true)}`)
+                : (p.items || []).map(i => renderPreview(i, true));
+            const body = list(parts, parts.length);
+            return body ? `${label} { ${body} }` : label;
+        }
+        case 'object':
+        case 'error': {
+            const props = Object.entries(p.props || {});
+            const parts = props.map(([k, v]) => `${/^[A-Za-z_$][\w$]*$/.test(k) ? k : JSON.stringify(k)}: ${renderPreview(v, true)}`);
+            const body = list(parts, props.length);
+            const head = p.type === 'error' ? String(p.value) : p.className || '';
+            if (!body) return head || '{}';
+            return `${head ? head + ' ' : ''}{ ${body} }`;
         }
     }
-    return String(val);
+}
+
+function previewRecorded(name: string, slot: number | 'return', val: any): ValuePreview {
+    return redactArgMasks.get(name)?.has(slot) ? { type: 'redacted' } : previewValue(val);
+}
+
+function renderRecorded(preview: ValuePreview): string {
+    const s = renderPreview(preview);
+    return s.length > MAX_VALUE_LENGTH ? s.slice(0, MAX_VALUE_LENGTH) + '...' : s;
 }
 
 function isPromiseLike(val: any): val is Promise<any> {
@@ -76,12 +376,22 @@ function recordSpan(entry: CallStackEntry, endTime: number, status: 'ok' | 'erro
         endTime: endTime,
         duration: endTime - entry.startTime,
         status: status,
-        args: entry.args.slice(0, 10).map(toStr),
+        args: [],
         callerName: entry.parentSpanId ? callStack.find(e => e.spanId === entry.parentSpanId)?.functionName : undefined,
     };
 
+    entry.args.slice(0, 10).forEach((arg, i) => {
+        const preview = previewRecorded(entry.functionName, i, arg);
+        record.args.push(renderRecorded(preview));
+        if (STRUCTURED_PREVIEW_TYPES.has(preview.type)) {
+            (record.argPreviews = record.argPreviews || {})[i] = preview;
+        }
+    });
+
     if (returnValue !== undefined) {
-        record.returnValue = toStr(returnValue);
+        const preview = previewRecorded(entry.functionName, 'return', returnValue);
+        record.returnValue = renderRecorded(preview);
+        if (STRUCTURED_PREVIEW_TYPES.has(preview.type)) record.returnPreview = preview;
     }
 
     if (errorMessage) {
@@ -179,6 +489,7 @@ export function __probe_wrap<T extends (...args: any[]) => any>(
         }
     } as T;
 
+    copyFunctionMetadata(wrapped, fn);
     (wrapped as any)[WRAPPED] = true;
     Object.defineProperty(wrapped, 'name', { value: name, configurable: true });
 
@@ -224,6 +535,12 @@ export function __probe_exit(spanId: string, returnValue?: any, error?: Error):
     }
 }
 
+export function unwrap<T extends Function>(fn: T): T {
+    let original: any = fn;
+    while (original && original[ORIGINAL]) original = original[ORIGINAL];
+    return original;
+}
+
 export function getSpans(limit?: number): SpanRecord[] {
     const sorted = [...spanRecords].sort((a, b) => a.startTime - b.startTime);
     return limit ? sorted.slice(-limit) : sorted;
@@ -337,6 +654,207 @@ export function formatCallTree(traceId: string, indent: string = ''): string {
     return formatNode(tree, '');
 }
 
+type TraceExportFormat = 'chrome' | 'speedscope' | 'otlp-json';
+
+// Group spans by trace, each ordered by start time with parents before same-instant children
+function groupByTrace(spans: SpanRecord[]): Map<string, SpanRecord[]> {
+    const groups = new Map<string, SpanRecord[]>();
+    for (const span of spans) {
+        const group = groups.get(span.traceId) || [];
+        group.push(span);
+        groups.set(span.traceId, group);
+    }
+    for (const group of groups.values()) {
+        group.sort((a, b) => a.startTime - b.startTime || b.endTime - a.endTime);
+    }
+    return groups;
+}
+
+// Chrome "X" events and speedscope evented profiles must nest strictly, but concurrent
+// async calls overlap; spread spans across lanes so each lane only holds nested spans
+function assignLanes(spans: SpanRecord[]): number[] {
+    const lanes: number[][] = [];
+    return spans.map(s => {
+        for (let i = 0; i < lanes.length; i++) {
+            const stack = lanes[i];
+            while (stack.length && stack[stack.length - 1] <= s.startTime) stack.pop();
+            if (!stack.length || stack[stack.length - 1] >= s.endTime) {
+                stack.push(s.endTime);
+                return i;
+            }
+        }
+        lanes.push([s.endTime]);
+        return lanes.length - 1;
+    });
+}
+
+function spanAttributes(span: SpanRecord): Record<string, any> {
+    const attrs: Record<string, any> = { 'function.name': span.name };
+    if (span.location) attrs['code.location'] = span.location;
+    span.args.forEach((arg, i) => { attrs[`function.args.${i}`] = arg; });
+    if (span.returnValue !== undefined) attrs['function.return.value'] = span.returnValue;
+    for (const [i, preview] of Object.entries(span.argPreviews || {})) {
+        attrs[`function.args.${i}.preview`] = JSON.stringify(preview);
+    }
+    if (span.returnPreview) attrs['function.return.value.preview'] = JSON.stringify(span.returnPreview);
+    if (span.callerName) attrs['function.caller.name'] = span.callerName;
+    if (span.parentSpanId) attrs['function.caller.spanId'] = span.parentSpanId;
+    return attrs;
+}
+
+// Chrome Trace Event Format: one process per trace, one thread per lane, microsecond timestamps
+function toChromeTrace(spans: SpanRecord[]): any {
+    const traceEvents: any[] = [];
+    let pid = 0;
+    for (const [traceId, group] of groupByTrace(spans)) {
+        pid++;
+        traceEvents.push({ name: 'process_name', ph: 'M', pid, args: { name: traceId } });
+        const lanes = assignLanes(group);
+        group.forEach((span, i) => {
+            traceEvents.push({
+                name: span.name,
+                cat: 'function',
+                ph: 'X',
+                ts: span.startTime * 1000,
+                dur: span.duration * 1000,
+                pid,
+                tid: lanes[i] + 1,
+                args: { spanId: span.spanId, parentSpanId: span.parentSpanId, status: span.status, errorMessage: span.errorMessage, ...spanAttributes(span) },
+            });
+        });
+    }
+    return { displayTimeUnit: 'ms', traceEvents };
+}
+
+// speedscope evented profiles, one per trace and lane, sharing the frame table
+function toSpeedscope(spans: SpanRecord[]): any {
+    const frames: Array<{ name: string; file?: string }> = [];
+    const frameIndex = new Map<string, number>();
+    const frameOf = (span: SpanRecord) => {
+        const key = `${span.name}@${span.location}`;
+        if (!frameIndex.has(key)) {
+            frameIndex.set(key, frames.length);
+            frames.push(span.location ? { name: span.name, file: span.location } : { name: span.name });
+        }
+        return frameIndex.get(key)!;
+    };
+
+    const profiles: any[] = [];
+    for (const [traceId, group] of groupByTrace(spans)) {
+        const lanes = assignLanes(group);
+        const laneCount = Math.max(...lanes) + 1;
+        for (let lane = 0; lane < laneCount; lane++) {
+            // Spans within a lane nest strictly, so a stack walk yields ordered open/close events
+            const events: Array<{ type: 'O' | 'C'; frame: number; at: number }> = [];
+            const stack: Array<{ frame: number; end: number }> = [];
+            const close = (until: number) => {
+                while (stack.length && stack[stack.length - 1].end <= until) {
+                    const top = stack.pop()!;
+                    events.push({ type: 'C', frame: top.frame, at: top.end });
+                }
+            };
+            group.forEach((span, i) => {
+                if (lanes[i] !== lane) return;
+                close(span.startTime);
+                const frame = frameOf(span);
+                events.push({ type: 'O', frame, at: span.startTime });
+                stack.push({ frame, end: span.endTime });
+            });
+            close(Infinity);
+            profiles.push({
+                type: 'evented',
+                name: laneCount > 1 ? `${traceId} (lane ${lane + 1})` : traceId,
+                unit: 'milliseconds',
+                startValue: events[0].at,
+                endValue: events[events.length - 1].at,
+                events,
+            });
+        }
+    }
+    return {
+        $schema: 'https://www.speedscope.app/file-format-schema.json',
+        name: 'Test trace',
+        exporter: 'syncause-test-probe',
+        activeProfileIndex: 0,
+        shared: { frames },
+        profiles,
+    };
+}
+
+// OTLP requires hex ids (32 chars for traces, 16 for spans); test runtime ids are base36
+function toHexId(id: string, length: number): string {
+    if (new RegExp(`^[0-9a-f]{${length}}$`).test(id)) return id;
+    const crypto = require('crypto');
+    return crypto.createHash('sha256').update(id).digest('hex').slice(0, length);
+}
+
+// OTLP/JSON ExportTraceServiceRequest, importable by Jaeger, Tempo and the OTel Collector
+function toOtlpJson(spans: SpanRecord[]): any {
+    const anyValue = (v: any) => typeof v === 'number'
+        ? (Number.isInteger(v) ? { intValue: String(v) } : { doubleValue: v })
+        : { stringValue: String(v) };
+    const nanos = (ms: number) => (BigInt(Math.round(ms)) * BigInt(1_000_000)).toString();
+    return {
+        resourceSpans: [{
+            resource: { attributes: [{ key: 'service.name', value: { stringValue: 'test-probe' } }] },
+            scopeSpans: [{
+                scope: { name: 'test-probe-runtime' },
+                spans: spans.map(span => ({
+                    traceId: toHexId(span.traceId, 32),
+                    spanId: toHexId(span.spanId, 16),
+                    parentSpanId: span.parentSpanId ? toHexId(span.parentSpanId, 16) : '',
+                    name: span.name,
+                    kind: 1,
+                    startTimeUnixNano: nanos(span.startTime),
+                    endTimeUnixNano: nanos(span.endTime),
+                    attributes: Object.entries(spanAttributes(span)).map(([key, v]) => ({ key, value: anyValue(v) })),
+                    status: span.status === 'error'
+                        ? { code: 2, message: span.errorMessage || '' }
+                        : { code: 1, message: '' },
+                })),
+            }],
+        }],
+    };
+}
+
+/**
+ * Convert span records to a format external viewers understand
+ * @param format - 'chrome' (chrome://tracing, Perfetto), 'speedscope' or 'otlp-json'
+ */
+export function convertSpans(spans: SpanRecord[], format: TraceExportFormat): any {
+    switch (format) {
+        case 'chrome': return toChromeTrace(spans);
+        case 'speedscope': return toSpeedscope(spans);
+        case 'otlp-json': return toOtlpJson(spans);
+        default: throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+export function exportTrace(traceId: string, format: TraceExportFormat): any {
+    const spans = getSpansByTraceId(traceId);
+    if (spans.length === 0) return null;
+    return convertSpans(spans, format);
+}
+
+/**
+ * Convert a span.log written by a test run (one span record per line, or a
+ * `{ spans: [...] }` document) to an external trace format
+ */
+export function exportSpanLog(format: TraceExportFormat, logPath?: string): any {
+    const fs = require('fs');
+    const path = require('path');
+    const content: string = fs.readFileSync(logPath || path.join(process.cwd(), '.syncause', 'span.log'), 'utf8');
+
+    let spans: SpanRecord[];
+    try {
+        const doc = JSON.parse(content);
+        spans = Array.isArray(doc) ? doc : (doc.spans || []);
+    } catch {
+        spans = content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+    return convertSpans(spans, format);
+}
+
 if (typeof global !== 'undefined') {
     (global as any).__probe_wrap = __probe_wrap;
     (global as any).__probe_enter = __probe_enter;
@@ -345,4 +863,6 @@ if (typeof global !== 'undefined') {
     (global as any).__probe_getTraces = getTraces;
     (global as any).__probe_clearSpans = clearSpans;
     (global as any).__probe_formatCallTree = formatCallTree;
+    (global as any).__probe_exportTrace = exportTrace;
+    (global as any).__probe_configureRedaction = configureRedaction;
 }